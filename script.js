@@ -15,37 +15,169 @@ import {
   doc,
   getDoc,
   setDoc,
+  onSnapshot,
+  collection,
+  addDoc,
+  query,
+  orderBy,
+  where,
+  serverTimestamp,
+  Timestamp,
 } from "firebase/firestore";
+import {
+  createEmptyBoard,
+  findConflicts,
+  formatDims,
+  getBoardDims,
+  getQueenCoords,
+  getSizeName,
+  getUnlockState,
+  isCube,
+  isNewBest,
+  toDims,
+} from "./src/rules.js";
+import { createAttackTracker } from "./src/attack-tracker.js";
+import {
+  DEFAULT_RULE_SET_ID,
+  RULE_SETS,
+  getRuleSet,
+  getRuleSetTargetInfo,
+  isAttacking,
+} from "./src/rule-sets.js";
+import { createGameStore, createLocalBackend } from "./src/storage.js";
+import { parseBoard, serializeBoard } from "./src/board-format.js";
+import { describeDirection, explainAttacks } from "./src/hints.js";
+import {
+  addDistinctSolution,
+  getCanonicalKey,
+  reflectBoard,
+  rotateBoard,
+} from "./src/symmetry.js";
+import {
+  formatDuration,
+  generateDailyPuzzle,
+  getDateKey,
+  isBetterTime,
+} from "./src/challenges.js";
+import {
+  CELL,
+  createLevelBoard,
+  getCellState,
+  getFixedCells,
+  isEditable,
+  parseLevel,
+  parseLevelFiles,
+  parsePack,
+  serializeLevel,
+  serializePack,
+} from "./src/levels.js";
+import { AI_LEVELS, chooseAiMove, createMatch } from "./src/versus.js";
+import { createBroadcastTransport, createNetSession } from "./src/netplay.js";
+import {
+  FADE_TIME,
+  createReplay,
+  getReplayDuration,
+  getReplayFrame,
+  parseReplay,
+  recordChange,
+  serializeReplay,
+} from "./src/replay.js";
+import {
+  ACHIEVEMENTS,
+  createEmptyStats,
+  getStreaks,
+  getTotals,
+  recordCompletion,
+  recordHint,
+  recordPlacement,
+  recordPlayTime,
+  recordRemoval,
+  unlockAchievements,
+} from "./src/stats.js";
+import {
+  DEFAULT_THEME_ID,
+  THEMES,
+  describeCell,
+  describeChange,
+  describeQueens,
+  getTheme,
+  toCssColor,
+} from "./src/accessibility.js";
 
 // --- GAME STATE VARIABLES ---
 let scene, camera, renderer, raycaster, mouse, composer;
 let notificationTimer = null;
-let currentLevel = 1;
-let N = 1;
+let currentLevel = 1; // Edge length of a cube, or [X, Y, Z] for other boxes
+let dims = [1, 1, 1]; // Board size along X, Y and Z
 let board = [];
-let cubes = [];
-let wireframes = [];
-let queens = [];
+let wireframeMesh = null; // One LineSegments holding the edges of every cell
+let queenMesh = null; // One InstancedMesh holding every queen
+let blockedMesh = null; // One InstancedMesh holding a block per blocked cell
+let queenCells = []; // [x, y, z] of each queen on the board
+let conflictingQueens = new Set(); // Indices into queenCells
+let cellBaseColors = null; // Per-cell wireframe color, opacity premultiplied
+let attackTracker = null; // Incremental attack counts, kept in sync with board
 let levelCompleted = false;
 let unlockStatus = 'none'; // none, good_enough, perfect
-let hoveredCube = null;
+let hoveredCell = null; // { x, y, z } under the pointer or keyboard cursor
 let isAssistMode = false; // State for hint mode, default off
+let isSandboxMode = false; // Rule-free creative mode, toggled with C
+let sandboxSize = 4; // Same form as currentLevel
+let levelStateBeforeSandbox = null;
 let particles;
+let solverWorker = null;
+let hintWorker = null;
+let hintMarker = null; // Pulsing sphere on the hinted cell
+let attackLines = null; // Lines from a conflicting queen to its attackers
+let explainedQueen = null; // "x,y,z" of the queen attackLines belong to
+let gameMode = "free"; // free, timed, daily or versus
+let dailyPuzzle = null; // Today's puzzle while gameMode is "daily"
+let puzzle = null; // Curated level being played (see src/levels.js), or null
+let puzzlePack = null; // { pack, index } while playing through a pack
+let fixedCells = getFixedCells(null); // The puzzle's locked and blocked cells
+let isEditorMode = false; // Clicks edit the puzzle's fixed cells instead
+let editorTool = "locked"; // locked, blocked or erase
+let checkWorker = null;
+let timerStartedAt = null; // Date.now() at the start of a timed run
+let match = null; // Two-player game while gameMode is "versus" (see src/versus.js)
+let versusOpponent = "human"; // human, or an AI_LEVELS key
+let aiMoveTimer = null;
+let netSession = null; // Shared board while in a room (see src/netplay.js)
+const peerId = crypto.randomUUID(); // This tab's name in rooms
+let replay = null; // This level's session as it is played (see src/replay.js)
+let replayViewer = null; // { replay, time, speed, isPlaying, shownEvents, lastTick }
+let stateBeforeReplay = null;
+let fadingQueens = []; // Replay queens growing in or shrinking away
+let playSession = null; // How this level is being played, for the stats
+let lastChange = null; // The board change updateDisplay should announce
+let readerCursor = { x: 0, y: 0, z: 0 }; // Focused cell of the layer table
+let undoStack = []; // Changes as { added: [[x, y, z]...], removed: [...] }
+let redoStack = [];
+const MAX_HISTORY = 500;
 const isTouchDevice = 'ontouchstart' in window;
 
 // --- HIGHLIGHT COLORS ---
+// The standard theme's; applyTheme sets them from the chosen one.
 const VALID_COLOR = new THREE.Color(0x2ecc71); // Green
 const INVALID_COLOR = new THREE.Color(0xFFFFFF); // White for invalid wireframes
 const CONFLICT_COLOR = new THREE.Color(0xdc143c); // Crimson for conflicting queens
 const HOVER_COLOR = new THREE.Color(0x00ffff); // Cyan
+const BLOCKED_COLOR = new THREE.Color(0x8b3a3a); // Dull red for blocked cells
 
 // --- FIREBASE & USER DATA ---
 let db, auth, userId;
+const gameStore = createGameStore(createLocalBackend());
 let bestScores = {};
-let lastSession = { level: 1, board: null };
-const knownMaxQueens = [
-  0, 1, 1, 4, 8, 12, 18, 24, 32, 42, 52, 64, 78, 94, 112, 132, 154,
-];
+let hintsUsed = {}; // getScoreKey() -> hints taken on that level
+let solutions = {}; // getScoreKey() -> { queens, keys } of distinct solutions
+let bestTimes = {}; // getScoreKey() -> fastest ms to the target
+let dailyTimes = {}; // getDateKey(date) -> fastest ms to finish that day's puzzle
+let ruleSet = getRuleSet(DEFAULT_RULE_SET_ID); // How pieces attack this game
+let autosaves = {}; // getLevelKey(level) -> { level, ruleSetId, board, history, savedAt }
+let saveSlots = []; // Named saves: { id, name, level, puzzle, ruleSetId, board, history, savedAt }
+let constellations = []; // Named sandbox boards: { name, size, board }
+let stats = createEmptyStats(); // Play statistics (see src/stats.js)
+let themeId = DEFAULT_THEME_ID; // Color theme (see src/accessibility.js)
 
 // --- CAMERA & CONTROLS ---
 let isDragging = false;
@@ -59,6 +191,11 @@ let targetCameraAngleY = cameraAngleY;
 let hiddenLayers = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
 let pinchStartDistance = 0; // For touch zoom
 
+// --- FLAT VIEW ---
+let isFlatViewOpen = false;
+let flatViewAxis = "Z";
+let flatViewLayer = 0;
+
 // --- INITIALIZATION ---
 function init() {
   scene = new THREE.Scene();
@@ -113,7 +250,10 @@ function init() {
 
   createParticles();
   setupEventListeners();
-  initializeFirebase();
+  loadGameData().then(() => {
+    if (!importBoardFromHash()) startLevel(1);
+    initializeFirebase();
+  });
   animate();
 }
 
@@ -132,14 +272,14 @@ async function initializeFirebase() {
     db = getFirestore(app);
     auth = getAuth(app);
 
-    let gameStarted = false;
+    let synced = false;
 
     onAuthStateChanged(auth, async (user) => {
-      if (user && !gameStarted) {
-        gameStarted = true;
+      if (user && !synced) {
+        synced = true;
         userId = user.uid;
-        await loadGameData();
-        startLevel(1);
+        applySaveData(await gameStore.attachRemote(createFirestoreBackend()));
+        refreshSavedDataDisplay();
       }
     });
 
@@ -153,10 +293,9 @@ async function initializeFirebase() {
     }
   } catch (error) {
     console.error(
-      "Firebase initialization failed. Running in offline mode.",
+      "Firebase initialization failed. Saving locally only.",
       error
     );
-    startLevel(1);
   }
 }
 
@@ -196,18 +335,125 @@ function setupEventListeners() {
   addButtonListener(document.getElementById("assistModeBtn"), () => {
       isAssistMode = !isAssistMode;
       document.getElementById("assistModeBtn").classList.toggle("active", isAssistMode);
+      document.body.classList.toggle("assist-mode", isAssistMode);
+      if (isAssistMode && playSession) playSession.usedAssist = true;
       updateDisplay();
   });
+  addButtonListener(document.getElementById("sandboxModeBtn"), () =>
+    setSandboxMode(!isSandboxMode)
+  );
+  addButtonListener(document.getElementById("saveConstellationBtn"), saveConstellation);
 
   addButtonListener(document.querySelector(".layer-controls .up"), () => changeRelativeLayer("up"));
   addButtonListener(document.querySelector(".layer-controls .down"), () => changeRelativeLayer("down"));
   addButtonListener(document.querySelector(".layer-controls .left"), () => changeRelativeLayer("left"));
   addButtonListener(document.querySelector(".layer-controls .right"), () => changeRelativeLayer("right"));
   addButtonListener(document.querySelector(".layer-controls .reset"), () => changeLayer("reset"));
+  addButtonListener(document.querySelector(".layer-controls .front"), () => changeRelativeLayer("front"));
+  addButtonListener(document.querySelector(".layer-controls .back"), () => changeRelativeLayer("back"));
+
+  addButtonListener(document.getElementById("slicePanelBtn"), toggleSlicePanel);
+  addButtonListener(document.getElementById("symmetryPanelBtn"), toggleSymmetryPanel);
+  document.querySelectorAll("#symmetryPanel .symmetry-row").forEach((row) => {
+    const axis = row.dataset.axis;
+    addButtonListener(row.querySelector(".rotate-ccw"), () =>
+      applySymmetry(rotateBoard(board, axis, 1))
+    );
+    addButtonListener(row.querySelector(".rotate-cw"), () =>
+      applySymmetry(rotateBoard(board, axis, -1))
+    );
+    addButtonListener(row.querySelector(".mirror"), () =>
+      applySymmetry(reflectBoard(board, axis))
+    );
+  });
+  addButtonListener(document.getElementById("flatViewBtn"), toggleFlatView);
+  addButtonListener(document.getElementById("flatPrevLayerBtn"), () => setFlatViewLayer(flatViewLayer - 1));
+  addButtonListener(document.getElementById("flatNextLayerBtn"), () => setFlatViewLayer(flatViewLayer + 1));
+  document.getElementById("flatViewAxis").addEventListener("change", (e) => {
+    flatViewAxis = e.target.value;
+    setFlatViewLayer(flatViewLayer);
+  });
+  document.querySelectorAll("#slicePanel .slice-row").forEach((row) => {
+    const onRangeChange = () =>
+      setVisibleRange(
+        row.dataset.axis,
+        parseInt(row.querySelector(".slice-from").value) || 0,
+        parseInt(row.querySelector(".slice-to").value) || 0
+      );
+    row.querySelector(".slice-from").addEventListener("change", onRangeChange);
+    row.querySelector(".slice-to").addEventListener("change", onRangeChange);
+  });
+  document.getElementById("soloAxis").addEventListener("change", updateLayerInfo);
+  addButtonListener(document.getElementById("soloBtn"), () =>
+    showOnlyLayer(
+      document.getElementById("soloAxis").value,
+      parseInt(document.getElementById("soloLayer").value) || 0
+    )
+  );
 
   addButtonListener(document.getElementById("nextLevelBtn"), nextLevel);
   addButtonListener(document.getElementById("resetBtn"), resetLevel);
-  addButtonListener(document.getElementById("restoreSessionBtn"), restoreLastSession);
+  addButtonListener(document.getElementById("savesBtn"), toggleSavePanel);
+  addButtonListener(document.getElementById("statsBtn"), openStatsScreen);
+  addButtonListener(document.getElementById("netBtn"), toggleNetPanel);
+  addButtonListener(document.getElementById("hostCoopBtn"), () => hostRoom("coop"));
+  addButtonListener(document.getElementById("hostVersusBtn"), () => hostRoom("versus"));
+  addButtonListener(document.getElementById("joinRoomBtn"), joinRoom);
+  addButtonListener(document.getElementById("leaveRoomBtn"), leaveRoom);
+  addButtonListener(document.getElementById("replayBtn"), toggleReplayPanel);
+  addButtonListener(document.getElementById("watchReplayBtn"), () => {
+    if (replay) watchReplay(replay);
+  });
+  addButtonListener(document.getElementById("exportReplayBtn"), exportReplay);
+  document
+    .getElementById("replayFileInput")
+    .addEventListener("change", (e) => openReplayFile(e.target));
+  addButtonListener(document.getElementById("replayPlayBtn"), toggleReplayPlayback);
+  addButtonListener(document.getElementById("closeReplayBtn"), closeReplay);
+  document.getElementById("replayScrub").addEventListener("input", (e) =>
+    seekReplay(parseFloat(e.target.value))
+  );
+  document.getElementById("replaySpeed").addEventListener("change", (e) => {
+    if (replayViewer) replayViewer.speed = parseFloat(e.target.value);
+  });
+  addButtonListener(document.getElementById("campaignBtn"), toggleCampaignPanel);
+  addButtonListener(document.getElementById("starterPackBtn"), loadStarterPack);
+  addButtonListener(document.getElementById("exportPackBtn"), exportPack);
+  ["packFileInput", "packFolderInput"].forEach((id) =>
+    document
+      .getElementById(id)
+      .addEventListener("change", (e) => loadPackFiles(e.target))
+  );
+  addButtonListener(document.getElementById("editorBtn"), () =>
+    setEditorMode(!isEditorMode)
+  );
+  document.querySelectorAll("#editorPanel [data-tool]").forEach((button) =>
+    addButtonListener(button, () => setEditorTool(button.dataset.tool))
+  );
+  document
+    .getElementById("editorLevelName")
+    .addEventListener("change", (e) => renameDraft(e.target.value));
+  document
+    .getElementById("editorTarget")
+    .addEventListener("change", (e) => setDraftTarget(parseInt(e.target.value)));
+  addButtonListener(document.getElementById("checkLevelBtn"), checkDraft);
+  addButtonListener(document.getElementById("exportLevelBtn"), exportDraft);
+  addButtonListener(document.getElementById("addToCampaignBtn"), addDraftToCampaign);
+  addButtonListener(document.getElementById("saveSlotBtn"), saveToSlot);
+  addButtonListener(document.getElementById("exportBoardBtn"), exportBoard);
+  addButtonListener(document.getElementById("importBoardBtn"), () =>
+    importBoard(document.getElementById("boardText").value)
+  );
+  addButtonListener(document.getElementById("copyLinkBtn"), copyBoardLink);
+  window.addEventListener("hashchange", importBoardFromHash);
+  // Play time and counts between saves would otherwise be lost on close.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") saveGameData();
+  });
+  addButtonListener(document.getElementById("solveBtn"), toggleSolver);
+  addButtonListener(document.getElementById("hintBtn"), requestHint);
+  addButtonListener(document.getElementById("undoBtn"), undo);
+  addButtonListener(document.getElementById("redoBtn"), redo);
   
   addButtonListener(document.getElementById("prevLevelBtn"), () => navigateLevel(-1));
   addButtonListener(document.getElementById("nextLevelNavBtn"), () => navigateLevel(1));
@@ -215,15 +461,69 @@ function setupEventListeners() {
     document.querySelector(".layer-controls").classList.toggle("visible");
   });
   
+  const ruleSetSelect = document.getElementById("ruleSetSelect");
+  Object.values(RULE_SETS).forEach(({ id, name }) =>
+    ruleSetSelect.add(new Option(name, id))
+  );
+  ruleSetSelect.addEventListener("change", (e) => setRuleSet(e.target.value));
+  document
+    .getElementById("gameModeSelect")
+    .addEventListener("change", (e) => setGameMode(e.target.value));
+  const opponentSelect = document.getElementById("opponentSelect");
+  Object.entries(AI_LEVELS).forEach(([id, { name }]) =>
+    opponentSelect.add(new Option(`${name} AI`, id))
+  );
+  opponentSelect.addEventListener("change", (e) => setOpponent(e.target.value));
+  const themeSelect = document.getElementById("themeSelect");
+  Object.values(THEMES).forEach(({ id, name }) =>
+    themeSelect.add(new Option(name, id))
+  );
+  themeSelect.value = themeId;
+  themeSelect.addEventListener("change", (e) => setTheme(e.target.value));
+
+  const readerTable = document.getElementById("boardReaderTable");
+  readerTable.addEventListener("keydown", onReaderKeyDown);
+  readerTable.addEventListener("focusin", (event) => {
+    const { x, y } = event.target.dataset;
+    if (x === undefined) return;
+    readerCursor = { x: Number(x), y: Number(y), z: readerCursor.z };
+    setHoveredCell({ ...readerCursor });
+  });
+  addButtonListener(document.getElementById("readerPrevLayerBtn"), () =>
+    setReaderLayer(readerCursor.z - 1)
+  );
+  addButtonListener(document.getElementById("readerNextLayerBtn"), () =>
+    setReaderLayer(readerCursor.z + 1)
+  );
+
   document.getElementById("levelInput").addEventListener("change", (e) => {
     const level = parseInt(e.target.value);
-    if (level > 0) startLevel(level);
+    if (level > 0) goToSize(level);
   });
+  AXES.forEach((axis) =>
+    document
+      .getElementById(`boardSize${axis}`)
+      .addEventListener("change", setBoardShape)
+  );
 }
 
 // --- EVENT HANDLERS & CONTROLS ---
 function onKeyDown(event) {
-  if (event.target.tagName === "INPUT") return;
+  if (["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName)) return;
+
+  if (event.ctrlKey || event.metaKey) {
+    if (event.code === "KeyZ" && event.shiftKey) {
+      redo();
+    } else if (event.code === "KeyZ") {
+      undo();
+    } else if (event.code === "KeyY") {
+      redo();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    return;
+  }
 
   switch (event.code) {
     case "ArrowUp":
@@ -238,9 +538,47 @@ function onKeyDown(event) {
     case "ArrowRight":
       changeRelativeLayer("right");
       break;
+    case "PageUp":
+    case "KeyW":
+      changeRelativeLayer("front");
+      break;
+    case "PageDown":
+    case "KeyS":
+      changeRelativeLayer("back");
+      break;
     case "KeyR":
       changeLayer("reset");
       break;
+    case "KeyC":
+      setSandboxMode(!isSandboxMode);
+      break;
+    case "KeyH":
+      requestHint();
+      break;
+    case "KeyI":
+      moveCursor("up");
+      break;
+    case "KeyK":
+      moveCursor("down");
+      break;
+    case "KeyJ":
+      moveCursor("left");
+      break;
+    case "KeyL":
+      moveCursor("right");
+      break;
+    case "KeyU":
+      moveCursor("front");
+      break;
+    case "KeyO":
+      moveCursor("back");
+      break;
+    case "Space":
+    case "Enter":
+      // Leave focused buttons to do their own thing.
+      if (event.target.tagName === "BUTTON") return;
+      selectCursorCell();
+      break;
     default:
       return;
   }
@@ -332,7 +670,7 @@ function onTouchMove(event) {
         const deltaDistance = pinchStartDistance - pinchEndDistance;
         
         cameraDistance += deltaDistance * 0.05;
-        cameraDistance = Math.max(N + 2, Math.min(40, cameraDistance));
+        cameraDistance = Math.max(Math.max(...dims) + 2, Math.min(40, cameraDistance));
         updateCameraPosition();
         
         pinchStartDistance = pinchEndDistance;
@@ -352,48 +690,92 @@ function onTouchEnd(event) {
 }
 
 function onMouseLeave() {
-  if (hoveredCube) {
-    setWireframeHighlight(hoveredCube, false);
-    hoveredCube = null;
-  }
+  setHoveredCell(null);
 }
 
 function handleCanvasClick(event) {
-  mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-  raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects(
-    cubes.filter((c) => c.visible)
-  );
-  if (intersects.length > 0) {
-    const { x, y, z } = intersects[0].object.userData;
+  const cell = pickCell(event);
+  if (cell) {
+    selectCell(cell.x, cell.y, cell.z);
+  }
+}
+
+// The first click on a conflicting queen shows who attacks it; any other
+// click, including a second one on that queen, toggles the cell.
+function selectCell(x, y, z) {
+  if (replayViewer) return;
+  if (isEditorMode) {
+    editCell(x, y, z);
+  } else if (match && !netSession) {
+    playVersusMove([x, y, z]);
+  } else if (!explainConflict([x, y, z])) {
     toggleQueen(x, y, z);
   }
 }
 
 function updateHoverEffect(event) {
+  setHoveredCell(pickCell(event));
+}
+
+// The pointer and the keyboard cursor share one highlighted cell, so either
+// can pick up where the other left off.
+function setHoveredCell(cell) {
+  if (cell && hoveredCell && cellIndex(hoveredCell) === cellIndex(cell)) return;
+  if (hoveredCell) setWireframeHighlight(hoveredCell, false);
+  hoveredCell = cell;
+  if (hoveredCell) setWireframeHighlight(hoveredCell, true);
+  document.getElementById("cursorInfo").textContent = cell
+    ? `(${cell.x}, ${cell.y}, ${cell.z})`
+    : "";
+}
+
+// Walks the pointer ray through the grid one cell at a time (Amanatides &
+// Woo) and returns the first visible cell it enters. This costs one step per
+// layer crossed instead of testing the ray against every cell.
+function pickCell(event) {
   mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
   mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
   raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects(
-    cubes.filter((c) => c.visible)
-  );
-
-  if (intersects.length > 0) {
-    const intersectedObject = intersects[0].object;
-    if (hoveredCube !== intersectedObject) {
-      if (hoveredCube) {
-        setWireframeHighlight(hoveredCube, false);
-      }
-      hoveredCube = intersectedObject;
-      setWireframeHighlight(hoveredCube, true);
-    }
-  } else {
-    if (hoveredCube) {
-      setWireframeHighlight(hoveredCube, false);
-      hoveredCube = null;
+  const { origin, direction } = raycaster.ray;
+  // Grid space: cell (x, y, z) spans [x, x + 1) on each axis.
+  const start = [origin.x, origin.y, origin.z].map((v, i) => v + dims[i] / 2);
+  const dir = [direction.x, direction.y, direction.z];
+
+  let tEnter = 0;
+  let tExit = Infinity;
+  for (let i = 0; i < 3; i++) {
+    if (dir[i] === 0) {
+      if (start[i] < 0 || start[i] > dims[i]) return null;
+      continue;
     }
+    const t1 = -start[i] / dir[i];
+    const t2 = (dims[i] - start[i]) / dir[i];
+    tEnter = Math.max(tEnter, Math.min(t1, t2));
+    tExit = Math.min(tExit, Math.max(t1, t2));
   }
+  if (tEnter > tExit) return null;
+
+  const entry = start.map((v, i) => v + dir[i] * (tEnter + 1e-6));
+  const cell = entry.map((v, i) => Math.max(0, Math.min(dims[i] - 1, Math.floor(v))));
+  const step = dir.map(Math.sign);
+  const tDelta = dir.map((d) => (d === 0 ? Infinity : Math.abs(1 / d)));
+  const tNext = dir.map((d, i) => {
+    if (d > 0) return (cell[i] + 1 - entry[i]) / d;
+    if (d < 0) return (cell[i] - entry[i]) / d;
+    return Infinity;
+  });
+
+  while (cell.every((c, i) => c >= 0 && c < dims[i])) {
+    const [x, y, z] = cell;
+    if (isCellVisible(x, y, z)) return { x, y, z };
+    const axis =
+      tNext[0] < tNext[1]
+        ? tNext[0] < tNext[2] ? 0 : 2
+        : tNext[1] < tNext[2] ? 1 : 2;
+    cell[axis] += step[axis];
+    tNext[axis] += tDelta[axis];
+  }
+  return null;
 }
 
 function onWindowResize() {
@@ -406,11 +788,17 @@ function onWindowResize() {
 function onMouseWheel(event) {
   event.preventDefault();
   cameraDistance += event.deltaY * 0.01;
-  cameraDistance = Math.max(N + 2, Math.min(40, cameraDistance));
+  cameraDistance = Math.max(Math.max(...dims) + 2, Math.min(40, cameraDistance));
   updateCameraPosition();
 }
 
 // --- LAYER CONTROLS ---
+const AXES = ["X", "Y", "Z"];
+
+function getAxisSize(axis) {
+  return dims[AXES.indexOf(axis)];
+}
+
 function getRelativeAxes() {
   const cameraDirection = new THREE.Vector3();
   camera.getWorldDirection(cameraDirection);
@@ -423,22 +811,35 @@ function getRelativeAxes() {
     .normalize();
   const rightAxis = Math.abs(right.x) > Math.abs(right.z) ? "x" : "z";
   const upAxis = "y";
+  // Depth is whichever horizontal axis isn't already mapped to left/right;
+  // the layer nearest the camera is the "front" one.
+  const depthAxis = rightAxis === "x" ? "z" : "x";
+  const toward = -cameraDirection[depthAxis];
+  const axisName = (axis) => axis.toUpperCase();
   return {
     right: {
       axis: rightAxis,
-      prop: Math.sign(right[rightAxis]) > 0 ? "maxX" : "minX",
+      prop: (right[rightAxis] > 0 ? "max" : "min") + axisName(rightAxis),
     },
     left: {
       axis: rightAxis,
-      prop: Math.sign(right[rightAxis]) < 0 ? "maxX" : "minX",
+      prop: (right[rightAxis] < 0 ? "max" : "min") + axisName(rightAxis),
     },
     up: {
       axis: upAxis,
-      prop: Math.sign(trueUp[upAxis]) > 0 ? "maxY" : "minY",
+      prop: (trueUp[upAxis] > 0 ? "max" : "min") + axisName(upAxis),
     },
     down: {
       axis: upAxis,
-      prop: Math.sign(trueUp[upAxis]) < 0 ? "maxY" : "minY",
+      prop: (trueUp[upAxis] < 0 ? "max" : "min") + axisName(upAxis),
+    },
+    front: {
+      axis: depthAxis,
+      prop: (toward > 0 ? "max" : "min") + axisName(depthAxis),
+    },
+    back: {
+      axis: depthAxis,
+      prop: (toward < 0 ? "max" : "min") + axisName(depthAxis),
     },
   };
 }
@@ -447,7 +848,16 @@ function changeRelativeLayer(direction) {
   const axes = getRelativeAxes();
   const control = axes[direction];
   const oppositeControl =
-    axes[{ up: "down", down: "up", left: "right", right: "left" }[direction]];
+    axes[
+      {
+        up: "down",
+        down: "up",
+        left: "right",
+        right: "left",
+        front: "back",
+        back: "front",
+      }[direction]
+    ];
   if (hiddenLayers[oppositeControl.prop] > 0) {
     hiddenLayers[oppositeControl.prop]--;
   } else {
@@ -460,408 +870,2648 @@ function changeLayer(axis) {
   if (axis === "reset") {
     hiddenLayers = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
   }
-  const maxAllowed = N - 1;
-  hiddenLayers.minX = Math.max(0, Math.min(hiddenLayers.minX, maxAllowed));
-  hiddenLayers.maxX = Math.max(0, Math.min(hiddenLayers.maxX, maxAllowed));
-  hiddenLayers.minY = Math.max(0, Math.min(hiddenLayers.minY, maxAllowed));
-  hiddenLayers.maxY = Math.max(0, Math.min(hiddenLayers.maxY, maxAllowed));
-  if (hiddenLayers.minX + hiddenLayers.maxX > maxAllowed) {
-    hiddenLayers.minX + hiddenLayers.maxX - maxAllowed === 1
-      ? hiddenLayers.maxX--
-      : hiddenLayers.minX--;
-  }
-  if (hiddenLayers.minY + hiddenLayers.maxY > maxAllowed) {
-    hiddenLayers.minY + hiddenLayers.maxY - maxAllowed === 1
-      ? hiddenLayers.maxY--
-      : hiddenLayers.minY--;
-  }
+  AXES.forEach((a) => {
+    const maxAllowed = getAxisSize(a) - 1;
+    const min = `min${a}`;
+    const max = `max${a}`;
+    hiddenLayers[min] = Math.max(0, Math.min(hiddenLayers[min], maxAllowed));
+    hiddenLayers[max] = Math.max(0, Math.min(hiddenLayers[max], maxAllowed));
+    if (hiddenLayers[min] + hiddenLayers[max] > maxAllowed) {
+      hiddenLayers[min] + hiddenLayers[max] - maxAllowed === 1
+        ? hiddenLayers[max]--
+        : hiddenLayers[min]--;
+    }
+  });
   updateLayerVisibility();
 }
 
+// --- KEYBOARD CURSOR ---
+// Moves the hovered cell one step in a direction as seen from the camera,
+// with the same mapping as the layer keys. Hidden layers are never entered:
+// the cursor is kept inside the visible block, which is always a box.
+function moveCursor(direction) {
+  const { axis, prop } = getRelativeAxes()[direction];
+  const ranges = AXES.map((a) => [
+    hiddenLayers[`min${a}`],
+    getAxisSize(a) - 1 - hiddenLayers[`max${a}`],
+  ]);
+  const clamp = (value, i) =>
+    Math.max(ranges[i][0], Math.min(ranges[i][1], value));
+
+  let cell;
+  if (hoveredCell) {
+    cell = [hoveredCell.x, hoveredCell.y, hoveredCell.z];
+    const i = "xyz".indexOf(axis);
+    cell[i] += prop.startsWith("max") ? 1 : -1;
+  } else {
+    // The first press lands in the middle of what's visible.
+    cell = ranges.map(([first, last]) => Math.floor((first + last) / 2));
+  }
+  const [x, y, z] = cell.map(clamp);
+  setHoveredCell({ x, y, z });
+  if (isFlatViewOpen) {
+    setFlatViewLayer({ X: x, Y: y, Z: z }[flatViewAxis]);
+  }
+}
+
+function selectCursorCell() {
+  if (!hoveredCell) return;
+  const { x, y, z } = hoveredCell;
+  if (isCellVisible(x, y, z)) selectCell(x, y, z);
+}
+
+// Sets the visible range of one axis directly, as edited in the slice panel.
+function setVisibleRange(axis, from, to) {
+  const lastLayer = getAxisSize(axis) - 1;
+  const first = Math.max(0, Math.min(from, lastLayer));
+  const last = Math.max(first, Math.min(to, lastLayer));
+  hiddenLayers[`min${axis}`] = first;
+  hiddenLayers[`max${axis}`] = lastLayer - last;
+  changeLayer();
+}
+
+function showOnlyLayer(axis, layer) {
+  hiddenLayers = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
+  setVisibleRange(axis, layer, layer);
+}
+
+function isCellVisible(x, y, z) {
+  return (
+    x >= hiddenLayers.minX &&
+    x < dims[0] - hiddenLayers.maxX &&
+    y >= hiddenLayers.minY &&
+    y < dims[1] - hiddenLayers.maxY &&
+    z >= hiddenLayers.minZ &&
+    z < dims[2] - hiddenLayers.maxZ
+  );
+}
+
+// Hidden cells are dropped from the wireframe's index buffer and hidden
+// queens from the instance list, so slicing never touches per-cell objects.
 function updateLayerVisibility() {
-  cubes.forEach((cube) => {
-    const { x, y, z } = cube.userData;
-    const visible =
-      x >= hiddenLayers.minX &&
-      x < N - hiddenLayers.maxX &&
-      y >= hiddenLayers.minY &&
-      y < N - hiddenLayers.maxY &&
-      z >= hiddenLayers.minZ &&
-      z < N - hiddenLayers.maxZ;
-    cube.visible = visible;
-    const wireframe = findWireframeForCube(cube);
-    if (wireframe) wireframe.visible = visible;
-  });
-  queens.forEach((queen) => {
-    const { x, y, z } = queen.userData;
-    const visible =
-      x >= hiddenLayers.minX &&
-      x < N - hiddenLayers.maxX &&
-      y >= hiddenLayers.minY &&
-      y < N - hiddenLayers.maxY &&
-      z >= hiddenLayers.minZ &&
-      z < N - hiddenLayers.maxZ;
-    queen.visible = visible;
-  });
+  if (!wireframeMesh) return;
+  const visibleIndices = [];
+  for (let z = 0; z < dims[2]; z++)
+    for (let y = 0; y < dims[1]; y++)
+      for (let x = 0; x < dims[0]; x++) {
+        if (!isCellVisible(x, y, z)) continue;
+        const first = cellIndex({ x, y, z }) * EDGE_VERTEX_COUNT;
+        for (let v = 0; v < EDGE_VERTEX_COUNT; v++) visibleIndices.push(first + v);
+      }
+  wireframeMesh.geometry.setIndex(visibleIndices);
+  updateQueenInstances();
+  updateBlockedInstances();
   updateLayerInfo();
 }
 
 function updateLayerInfo() {
-  document.getElementById("layerInfo").textContent = "";
+  const sliced = AXES.some(
+    (a) => hiddenLayers[`min${a}`] > 0 || hiddenLayers[`max${a}`] > 0
+  );
+  document.getElementById("layerInfo").textContent = sliced
+    ? AXES.map(
+        (a) =>
+          `${a} ${hiddenLayers[`min${a}`]}–${getAxisSize(a) - 1 - hiddenLayers[`max${a}`]}`
+      ).join(" · ")
+    : "";
+
+  document.querySelectorAll("#slicePanel .slice-row").forEach((row) => {
+    const axis = row.dataset.axis;
+    const fromInput = row.querySelector(".slice-from");
+    const toInput = row.querySelector(".slice-to");
+    const lastLayer = getAxisSize(axis) - 1;
+    fromInput.max = toInput.max = lastLayer;
+    fromInput.value = hiddenLayers[`min${axis}`];
+    toInput.value = lastLayer - hiddenLayers[`max${axis}`];
+  });
+  document.getElementById("soloLayer").max =
+    getAxisSize(document.getElementById("soloAxis").value) - 1;
+}
+
+// --- FLAT VIEW ---
+// Draws one axis-aligned slice as a grid of buttons. Columns run along the
+// first remaining axis and rows along the second, with row 0 at the top so
+// the grid reads the same way as the cube seen from the front.
+function getFlatViewAxes() {
+  return { X: ["Z", "Y"], Y: ["X", "Z"], Z: ["X", "Y"] }[flatViewAxis];
+}
+
+function getFlatViewCell(col, row) {
+  const layer = flatViewLayer;
+  const flippedRow = getAxisSize(getFlatViewAxes()[1]) - 1 - row;
+  switch (flatViewAxis) {
+    case "X":
+      return { x: layer, y: flippedRow, z: col };
+    case "Y":
+      return { x: col, y: layer, z: flippedRow };
+    default:
+      return { x: col, y: flippedRow, z: layer };
+  }
+}
+
+function renderFlatView() {
+  if (!isFlatViewOpen) return;
+  document.getElementById("flatViewLabel").textContent =
+    `${flatViewAxis} = ${flatViewLayer}`;
+  const grid = document.getElementById("flatViewGrid");
+  const [cols, rows] = getFlatViewAxes().map(getAxisSize);
+  const cellSize = Math.max(8, Math.min(28, Math.floor(280 / Math.max(cols, rows))));
+  grid.style.gridTemplateColumns = `repeat(${cols}, ${cellSize}px)`;
+  grid.innerHTML = "";
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const { x, y, z } = getFlatViewCell(col, row);
+      const cell = document.createElement("button");
+      cell.classList.add("flat-cell");
+      cell.style.width = cell.style.height = `${cellSize}px`;
+      cell.title = `(${x}, ${y}, ${z})`;
+      if (hoveredCell && cellIndex(hoveredCell) === cellIndex({ x, y, z })) {
+        cell.classList.add("cursor");
+      }
+      const attacked = !isSandboxMode && attackTracker.isAttacked(x, y, z);
+      const state = getCellState(fixedCells, board, [x, y, z]);
+      if (state === CELL.BLOCKED) {
+        cell.classList.add("blocked");
+      } else if (board[z][y][x]) {
+        cell.classList.add("queen");
+        if (state === CELL.LOCKED) cell.classList.add("locked");
+        if (match && match.owners[z][y][x] === 1) cell.classList.add("player-two");
+        if (attacked) cell.classList.add("conflict");
+      } else if (attacked) {
+        cell.classList.add("attacked");
+      }
+      addButtonListener(cell, () => selectCell(x, y, z));
+      grid.appendChild(cell);
+    }
+  }
+}
+
+function toggleFlatView() {
+  isFlatViewOpen = !isFlatViewOpen;
+  document.getElementById("flatView").classList.toggle("visible", isFlatViewOpen);
+  document.getElementById("flatViewBtn").classList.toggle("active", isFlatViewOpen);
+  renderFlatView();
+}
+
+function setFlatViewLayer(layer) {
+  flatViewLayer = Math.max(0, Math.min(getAxisSize(flatViewAxis) - 1, layer));
+  renderFlatView();
+}
+
+function toggleSlicePanel() {
+  const panel = document.getElementById("slicePanel");
+  const visible = panel.classList.toggle("visible");
+  document.getElementById("slicePanelBtn").classList.toggle("active", visible);
 }
 
 // --- GAME LOGIC ---
-function startLevel(level, initialBoard = null) {
-  currentLevel = level;
-  N = level;
+// `level` is an edge length for a cube, [X, Y, Z] for any other box, or a
+// curated level from src/levels.js.
+function startLevel(level, initialBoard = null, initialHistory = null) {
+  if (netSession) closeRoom();
+  if (replayViewer) endReplayView();
+  if (gameMode !== "free" && !fitsGameMode(level, initialBoard)) {
+    showGameMode("free");
+  }
+  const isPackLevel =
+    puzzlePack && level === puzzlePack.pack.levels[puzzlePack.index];
+  if (puzzlePack && !isPackLevel && !isEditorMode) {
+    puzzlePack = null;
+  }
+  puzzle = isPuzzle(level) ? level : null;
+  fixedCells = getFixedCells(puzzle);
+  if (puzzle) {
+    ruleSet = getRuleSet(puzzle.ruleSetId);
+    level = puzzle.dims;
+  }
+  dims = toDims(level);
+  level = toLevel(dims);
+  if (isSandboxMode) {
+    sandboxSize = level;
+  } else {
+    currentLevel = level;
+  }
   levelCompleted = false;
   unlockStatus = 'none';
 
   document.querySelector(".game-header").classList.add("is-active");
   document.querySelector(".controls-top-left").classList.add("is-active");
-  document.querySelector(".controls-top-right").classList.remove("is-active");
+  document
+    .querySelector(".controls-top-right")
+    .classList.toggle("is-active", isSandboxMode);
   
-  document.getElementById("levelInput").value = currentLevel;
-  document.getElementById("levelTitle").textContent = `Level ${currentLevel}`;
-
-  const target = getLevelTarget(N);
-  document.getElementById("targetQueens").textContent = target;
-
-  document.getElementById("personalBest").textContent = bestScores[N] || 0;
+  document.getElementById("levelInput").value = isCube(dims) ? dims[0] : "";
+  AXES.forEach((axis, i) => {
+    document.getElementById(`boardSize${axis}`).value = dims[i];
+  });
+  const ruleSetLabel =
+    ruleSet.id === DEFAULT_RULE_SET_ID ? "" : ` · ${ruleSet.name}`;
+  document.getElementById("levelTitle").textContent = isSandboxMode
+    ? `Sandbox ${formatDims(dims)}`
+    : puzzle
+    ? getPuzzleTitle()
+    : `Level ${getLevelName(currentLevel)}${ruleSetLabel}`;
+  document.getElementById("ruleSetSelect").value = ruleSet.id;
+
+  showTarget(getTargetInfo());
+
+  document.getElementById("personalBest").textContent =
+    bestScores[getScoreKey()] || 0;
+  document.getElementById("hintsUsed").textContent =
+    hintsUsed[getScoreKey()] || 0;
+  showDistinctSolutions(getScoreKey());
 
   document.getElementById("nextLevelBtn").disabled = true;
+  cancelSolver();
+
+  // Challenges and puzzles always start from scratch, so only free play
+  // resumes.
+  const autosave =
+    isSandboxMode || gameMode !== "free" || puzzle
+      ? null
+      : autosaves[getLevelKey(level)];
+  if (!initialBoard && autosave) {
+    initialBoard = JSON.parse(autosave.board);
+    initialHistory = autosave.history ? JSON.parse(autosave.history) : null;
+  }
+  if (!initialBoard && puzzle) initialBoard = createLevelBoard(puzzle);
+  timerStartedAt = isTimedMode() ? Date.now() : null;
+  showTimer(0);
+  showBestTime();
 
   if (initialBoard) {
     board = initialBoard;
   } else {
     initializeBoard();
   }
+  rebuildAttackTracker();
+  cancelAiMove();
+  match = gameMode === "versus" ? createMatch(dims, ruleSet) : null;
+  undoStack = initialHistory ? initialHistory.undo : [];
+  redoStack = initialHistory ? initialHistory.redo : [];
+  updateHistoryButtons();
   createBoardGeometry();
+  startRecording();
+  startPlaySession();
+  if (playSession && initialHistory && initialHistory.usedSolver) {
+    playSession.usedSolver = true;
+  }
   updateDisplay();
 }
 
+function rebuildAttackTracker() {
+  attackTracker = createAttackTracker(dims, ruleSet);
+  if (puzzle) puzzle.blocked.forEach(([x, y, z]) => attackTracker.block(x, y, z));
+  getQueenCoords(board).forEach(([x, y, z]) => attackTracker.add(x, y, z));
+}
+
 function resetLevel() {
+  if (match && !netSession) {
+    startLevel(currentLevel);
+    return;
+  }
   levelCompleted = false;
   unlockStatus = 'none';
   
   document.querySelector(".game-header").classList.add("is-active");
   document.querySelector(".controls-top-left").classList.add("is-active");
-  document.querySelector(".controls-top-right").classList.remove("is-active");
+  document
+    .querySelector(".controls-top-right")
+    .classList.toggle("is-active", isSandboxMode);
   
   document.getElementById("nextLevelBtn").disabled = true;
-  initializeBoard();
-  updateDisplay();
+  cancelSolver();
+  commitChange({
+    added: [],
+    removed: getQueenCoords(board).filter((c) => isEditable(fixedCells, c)),
+  });
+  // A fresh attempt, free of the solver and hints used on the last one.
+  startPlaySession();
+  saveCurrentState();
 }
 
 function nextLevel() {
   if (!levelCompleted) return;
-  startLevel(currentLevel + 1);
+  if (puzzlePack && puzzlePack.index + 1 < puzzlePack.pack.levels.length) {
+    startPackLevel(puzzlePack.index + 1);
+    return;
+  }
+  navigateLevel(1);
 }
 
+// Steps through the campaign while a pack is open. Otherwise grows or
+// shrinks every edge at once, so a 4×4×8 column leads to 5×5×9.
 function navigateLevel(direction) {
-  const newLevel = currentLevel + direction;
-  if (newLevel > 0) {
-    startLevel(newLevel);
+  if (puzzlePack && !isEditorMode) {
+    const index = puzzlePack.index + direction;
+    if (index >= 0 && index < puzzlePack.pack.levels.length) {
+      startPackLevel(index);
+    }
+    return;
+  }
+  const newDims = dims.map((size) => size + direction);
+  if (newDims.every((size) => size > 0)) {
+    goToSize(toLevel(newDims));
   }
 }
 
-function initializeBoard() {
-  board = Array.from({ length: N }, () =>
-    Array.from({ length: N }, () => Array(N).fill(false))
-  );
+// The editor resizes the level being built rather than leaving it.
+function goToSize(level) {
+  if (isEditorMode) {
+    resizeDraft(toDims(level));
+  } else {
+    startLevel(level);
+  }
 }
 
-function toggleQueen(x, y, z) {
-  board[z][y][x] = !board[z][y][x];
-  updateDisplay();
-  saveCurrentState();
+// Cubes are stored as their edge length so older saves and links still match.
+function toLevel(levelDims) {
+  return isCube(levelDims) ? levelDims[0] : [...levelDims];
 }
 
-function isQueenAttacking(x1, y1, z1, x2, y2, z2) {
-  if (x1 === x2 && y1 === y2 && z1 === z2) return false;
-  const dx = Math.abs(x1 - x2);
-  const dy = Math.abs(y1 - y2);
-  const dz = Math.abs(z1 - z2);
-  if (
-    (dx === 0 && dy === 0) ||
-    (dx === 0 && dz === 0) ||
-    (dy === 0 && dz === 0)
-  )
-    return true;
-  if (
-    (dx === 0 && dy === dz) ||
-    (dy === 0 && dx === dz) ||
-    (dz === 0 && dx === dy)
-  )
-    return true;
-  if (dx === dy && dy === dz) return true;
-  return false;
-}
-
-function getConflicts(queensList) {
-  const conflictSet = new Set();
-  for (let i = 0; i < queensList.length; i++) {
-    for (let j = i + 1; j < queensList.length; j++) {
-      const q1 = queensList[i];
-      const q2 = queensList[j];
-      if (
-        isQueenAttacking(
-          q1.userData.x,
-          q1.userData.y,
-          q1.userData.z,
-          q2.userData.x,
-          q2.userData.y,
-          q2.userData.z
-        )
-      ) {
-        conflictSet.add(q1);
-        conflictSet.add(q2);
-      }
-    }
-  }
-  return { count: conflictSet.size, set: conflictSet };
+function getLevelName(level) {
+  return Array.isArray(level) ? formatDims(level) : `${level}`;
 }
 
-function getLevelTarget(level) {
-  if (level < knownMaxQueens.length) {
-    return knownMaxQueens[level];
-  }
-  return Math.floor((level * level) / 2);
+function isPuzzle(level) {
+  return typeof level === "object" && !Array.isArray(level);
 }
 
-function restoreLastSession() {
-  if (lastSession && lastSession.board) {
-    startLevel(lastSession.level, JSON.parse(lastSession.board));
-  }
+function getPuzzleTitle() {
+  if (isEditorMode) return `Editing ${puzzle.name}`;
+  if (!puzzlePack) return puzzle.name;
+  const { pack, index } = puzzlePack;
+  return `${pack.name} ${index + 1}/${pack.levels.length} · ${puzzle.name}`;
 }
 
-// --- RENDERING & DISPLAY ---
-function createBoardGeometry() {
-  [...cubes, ...wireframes, ...queens].forEach((obj) => scene.remove(obj));
-  cubes = [];
-  wireframes = [];
-  queens = [];
-
-  const cubeGeometry = new THREE.BoxGeometry(0.95, 0.95, 0.95);
-  const wireframeGeometry = new THREE.EdgesGeometry(cubeGeometry);
-  const offset = (N - 1) / 2;
-
-  for (let z = 0; z < N; z++)
-    for (let y = 0; y < N; y++)
-      for (let x = 0; x < N; x++) {
-        const solidMaterial = new THREE.MeshBasicMaterial({
-          visible: false,
-        });
-        const solidCube = new THREE.Mesh(cubeGeometry, solidMaterial);
-        solidCube.position.set(x - offset, y - offset, z - offset);
-        solidCube.userData = { x, y, z };
-        scene.add(solidCube);
-        cubes.push(solidCube);
-
-        const wireframeMaterial = new THREE.LineBasicMaterial({
-          color: 0xaaaaaa,
-          transparent: true,
-          opacity: 0.5,
-        });
-        const wireframe = new THREE.LineSegments(
-          wireframeGeometry,
-          wireframeMaterial
-        );
-        wireframe.position.copy(solidCube.position);
-        wireframe.userData = { x, y, z, baseColor: new THREE.Color(), baseOpacity: 0.5 };
-        scene.add(wireframe);
-        wireframes.push(wireframe);
-      }
+function startPackLevel(index) {
+  puzzlePack.index = index;
+  startLevel(puzzlePack.pack.levels[index]);
+  renderCampaignList();
+}
 
-  hiddenLayers = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
-  updateLayerVisibility();
-  updateCameraPosition();
+// Bests and autosaves for the classic queen are keyed by the board size ("4"
+// or "4x4x8"); other rule sets are stored under "<ruleSetId>:<size>".
+function getLevelKey(level) {
+  const sizeName = getSizeName(toDims(level));
+  return ruleSet.id === DEFAULT_RULE_SET_ID ? sizeName : `${ruleSet.id}:${sizeName}`;
 }
 
-function updateDisplay() {
-  const offset = (N - 1) / 2;
-
-  queens.forEach((q) => scene.remove(q));
-  queens = [];
-  for (let z = 0; z < N; z++) {
-    for (let y = 0; y < N; y++) {
-      for (let x = 0; x < N; x++) {
-        if (board[z][y][x]) {
-          const queenGeometry = new THREE.SphereGeometry(0.3, 16, 16);
-          const queenMaterial = new THREE.MeshLambertMaterial({
-            color: 0xdaa520,
-          });
-          const queen = new THREE.Mesh(queenGeometry, queenMaterial);
-          queen.position.set(x - offset, y - offset, z - offset);
-          queen.userData = { x, y, z };
-          queen.castShadow = true;
-          scene.add(queen);
-          queens.push(queen);
-        }
-      }
-    }
-  }
+// Scores, hints and times of a curated level are kept under its id, apart
+// from free play on a board of the same size.
+function getScoreKey() {
+  return puzzle ? `puzzle:${puzzle.id}` : getLevelKey(dims);
+}
 
-  wireframes.forEach(wireframe => {
-    const { x, y, z } = wireframe.userData;
-
-    if (isAssistMode) {
-        if (board[z][y][x]) {
-            const distFromEdge = Math.min(x, N - 1 - x, y, N - 1 - y, z, N - 1 - z);
-            wireframe.material.color.set(getWireframeDefaultColor(x, y, z));
-            wireframe.material.opacity = Math.max(0.05, 0.8 - distFromEdge * 0.25);
-        } else { 
-            let isAttacked = false;
-            if (queens.length > 0) {
-                for (const queen of queens) {
-                    if (isQueenAttacking(x, y, z, queen.userData.x, queen.userData.y, queen.userData.z)) {
-                        isAttacked = true;
-                        break;
-                    }
-                }
-            }
+// Curated levels set their own target; everything else follows the rules.
+function getTargetInfo() {
+  return puzzle
+    ? { value: puzzle.target, upper: null, status: "puzzle" }
+    : getRuleSetTargetInfo(ruleSet, dims);
+}
 
-            if (isAttacked) {
-                wireframe.material.color.set(INVALID_COLOR);
-                const distFromEdge = Math.min(x, N - 1 - x, y, N - 1 - y, z, N - 1 - z);
-                wireframe.material.opacity = Math.max(0.05, 0.8 - distFromEdge * 0.25);
-            } else {
-                wireframe.material.color.set(VALID_COLOR);
-                wireframe.material.opacity = 0.6;
-            }
-        }
-    } else {
-        const distFromEdge = Math.min(x, N - 1 - x, y, N - 1 - y, z, N - 1 - z);
-        wireframe.material.color.set(getWireframeDefaultColor(x, y, z));
-        wireframe.material.opacity = Math.max(0.05, 0.8 - distFromEdge * 0.25);
-    }
-    
-    wireframe.userData.baseColor.copy(wireframe.material.color);
-    wireframe.userData.baseOpacity = wireframe.material.opacity;
-  });
-  
-  const { count: conflictCount, set: conflictSet } = getConflicts(queens);
-  queens.forEach((queen) => {
-    if (conflictSet.has(queen)) {
-      queen.material.color.set(CONFLICT_COLOR);
-    }
-  });
+function showTarget({ value, upper, status }) {
+  const label = document.getElementById("targetStatus");
+  document.getElementById("targetQueens").textContent = value;
+  label.textContent = {
+    proven: "(optimal)",
+    lowerBound: "(best known)",
+    heuristic: "(estimate)",
+    puzzle: "(puzzle)",
+  }[status];
+  label.title = {
+    proven: "Proven: no board holds more.",
+    lowerBound: upper
+      ? `A board with this many exists. At most ${upper} could fit.`
+      : "A board with this many exists. More may fit.",
+    heuristic: "A guess: nobody has checked that this many fit.",
+    puzzle: "Set by the puzzle.",
+  }[status];
+}
 
-  updateLayerVisibility();
-  
-  document.getElementById("queensCount").textContent = queens.length;
-  
-  const conflictContainer = document.getElementById("conflict-indicators");
-  conflictContainer.innerHTML = "";
-  for (let i = 0; i < conflictSet.size; i++) {
-    const indicator = document.createElement("div");
-    indicator.classList.add("conflict-indicator");
-    indicator.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24" fill="currentColor"><path d="M12 2L2 22h20L12 2zm1 14h-2v-2h2v2zm0-4h-2V7h2v5z"/></svg>`;
-    conflictContainer.appendChild(indicator);
-  }
+function getVolume(level) {
+  const [X, Y, Z] = toDims(level);
+  return X * Y * Z;
+}
 
-  if (conflictSet.size === 0 && queens.length > (bestScores[N] || 0)) {
-    bestScores[N] = queens.length;
-    document.getElementById("personalBest").textContent = bestScores[N];
-    saveGameData();
+function setBoardShape() {
+  const newDims = AXES.map(
+    (axis) => parseInt(document.getElementById(`boardSize${axis}`).value) || 0
+  );
+  if (newDims.every((size) => size > 0)) {
+    goToSize(toLevel(newDims));
   }
+}
 
-  const targetQueens = getLevelTarget(N);
-  let newUnlockStatus = 'none';
-  let message = "";
-
-  if (conflictSet.size === 0) {
-    if (queens.length >= targetQueens) {
-      newUnlockStatus = 'perfect';
-      message = queens.length > targetQueens 
-        ? `New Record! ${queens.length} Queens!` 
-        : `Perfect! Target Reached!`;
-    }
+function setRuleSet(id) {
+  if (isEditorMode) {
+    puzzle.ruleSetId = id;
+    startLevel(puzzle);
+    return;
   }
+  ruleSet = getRuleSet(id);
+  startLevel(isSandboxMode ? sandboxSize : currentLevel);
+}
 
-  if (newUnlockStatus !== 'none') {
-    if (newUnlockStatus !== unlockStatus) {
-      showSuccessMessage(message);
-      unlockStatus = newUnlockStatus;
-      document.querySelector(".controls-top-right").classList.add("is-active");
-    }
-    document.getElementById("nextLevelBtn").disabled = false;
-    levelCompleted = true;
-  } else {
-    if (unlockStatus !== 'none') {
-      document.querySelector(".controls-top-right").classList.remove("is-active");
-    }
-    document.getElementById("nextLevelBtn").disabled = true;
-    levelCompleted = false;
-    unlockStatus = 'none';
-  }
+function initializeBoard() {
+  board = createEmptyBoard(...dims);
 }
 
-// --- UTILITY & HELPER FUNCTIONS ---
-function findWireframeForCube(solidCube) {
-  const { x, y, z } = solidCube.userData;
-  return wireframes.find(
-    (w) => w.userData.x === x && w.userData.y === y && w.userData.z === z
+function toggleQueen(x, y, z) {
+  const state = getCellState(fixedCells, board, [x, y, z]);
+  if (state === CELL.LOCKED) {
+    showErrorMessage("That queen is part of the puzzle");
+    return;
+  }
+  if (state === CELL.BLOCKED) {
+    showErrorMessage("Nothing can stand on a blocked cell");
+    return;
+  }
+  cancelSolver();
+  const cell = [[x, y, z]];
+  commitChange(
+    board[z][y][x]
+      ? { added: [], removed: cell }
+      : { added: cell, removed: [] },
+    true
   );
 }
 
-function getWireframeDefaultColor(x, y, z) {
-  const distFromEdge = Math.min(x, N - 1 - x, y, N - 1 - y, z, N - 1 - z);
-  return distFromEdge === 0 ? 0xf0f0f0 : 0xaaaaaa;
+
+// --- SAVE SLOTS ---
+function toggleSavePanel() {
+  const visible = document.getElementById("savePanel").classList.toggle("visible");
+  document.getElementById("savesBtn").classList.toggle("active", visible);
+  if (visible) renderSaveSlotList();
 }
 
-function setWireframeHighlight(cube, isHighlighted) {
-  const wireframe = findWireframeForCube(cube);
-  if (wireframe) {
-    if (isHighlighted) {
-      wireframe.material.color.set(HOVER_COLOR);
-      wireframe.material.opacity = 1.0;
-    } else {
-      wireframe.material.color.copy(wireframe.userData.baseColor);
-      wireframe.material.opacity = wireframe.userData.baseOpacity;
-    }
+function saveToSlot() {
+  const input = document.getElementById("slotName");
+  const name =
+    input.value.trim() ||
+    (puzzle ? puzzle.name : `Level ${getLevelName(currentLevel)}`);
+  // The puzzle goes in as its level JSON, since Firestore can't store the
+  // nested arrays of its locked and blocked cells.
+  const savedPuzzle = puzzle ? serializeLevel(puzzle) : null;
+  // A fresh board is worth a slot of its own, so only boards with queens
+  // of the player's are checked for repeats.
+  const placed = getQueenCoords(board).length - fixedCells.locked.size;
+  const key = getCanonicalKey(board);
+  const duplicate =
+    placed > 0 &&
+    saveSlots.find(
+      (slot) =>
+        getRuleSet(slot.ruleSetId) === ruleSet &&
+        (slot.puzzle || null) === savedPuzzle &&
+        getCanonicalKey(JSON.parse(slot.board)) === key
+    );
+  if (duplicate) {
+    showErrorMessage(`Already saved as "${duplicate.name}", up to symmetry`);
+    return;
   }
+  saveSlots.push({
+    id: `${Date.now()}`,
+    name,
+    level: currentLevel,
+    puzzle: savedPuzzle,
+    ruleSetId: ruleSet.id,
+    board: JSON.stringify(board),
+    history: JSON.stringify(getHistoryState()),
+    savedAt: Date.now(),
+  });
+  input.value = "";
+  renderSaveSlotList();
+  saveGameData();
+  showSuccessMessage(`Saved "${name}"`);
 }
 
-function showSuccessMessage(message) {
-  const bar = document.getElementById("notification-bar");
-  if (notificationTimer) {
-    clearTimeout(notificationTimer);
+function loadSave(save) {
+  let level = save.level;
+  if (save.puzzle) {
+    const result = parseLevel(save.puzzle);
+    if (!result.ok) {
+      console.error("Couldn't read the saved puzzle:", result.errors);
+      showErrorMessage("This save's puzzle can't be loaded");
+      return;
+    }
+    level = result.level;
   }
-  bar.textContent = message;
-  bar.classList.add("show");
-  notificationTimer = setTimeout(() => {
-    bar.classList.remove("show");
-    notificationTimer = null;
-  }, 3500);
+  if (isSandboxMode) setSandboxMode(false);
+  ruleSet = getRuleSet(save.ruleSetId);
+  startLevel(
+    level,
+    JSON.parse(save.board),
+    save.history ? JSON.parse(save.history) : null
+  );
 }
 
-function updateCameraPosition() {
-  const x = cameraDistance * Math.sin(cameraAngleY) * Math.cos(cameraAngleX);
-  const y = cameraDistance * Math.sin(cameraAngleX);
-  const z = cameraDistance * Math.cos(cameraAngleY) * Math.cos(cameraAngleX);
-  camera.position.set(x, y, z);
-  camera.lookAt(0, 0, 0);
+function deleteSaveSlot(id) {
+  saveSlots = saveSlots.filter((slot) => slot.id !== id);
+  renderSaveSlotList();
+  saveGameData();
 }
 
-function animate() {
-  requestAnimationFrame(animate);
+function renderSaveSlotList() {
+  const list = document.getElementById("saveSlotList");
+  list.innerHTML = "";
+  Object.entries(autosaves)
+    .map(([key, autosave]) => ({ level: Number(key), ...autosave }))
+    .filter((autosave) => autosave.board && autosave.board.includes("true"))
+    .sort((a, b) => getVolume(a.level) - getVolume(b.level))
+    .forEach((autosave) =>
+      list.appendChild(createSaveEntry(autosave, "Autosave", null))
+    );
+  [...saveSlots]
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .forEach((slot) =>
+      list.appendChild(
+        createSaveEntry(slot, slot.name, () => deleteSaveSlot(slot.id))
+      )
+    );
+}
 
-  const dampingFactor = 0.2;
-  cameraAngleX += (targetCameraAngleX - cameraAngleX) * dampingFactor;
-  cameraAngleY += (targetCameraAngleY - cameraAngleY) * dampingFactor;
-  updateCameraPosition();
+function createSaveEntry(save, name, onDelete) {
+  const savedBoard = JSON.parse(save.board);
+  const saveDims = getBoardDims(savedBoard);
+  const saveRuleSet = getRuleSet(save.ruleSetId);
+  const coords = getQueenCoords(savedBoard);
+  const conflicting = findConflicts(coords, (...cells) =>
+    isAttacking(saveRuleSet, saveDims, ...cells)
+  );
 
-  if (particles) {
-    particles.rotation.y += 0.0002;
+  const item = document.createElement("li");
+  const thumbnail = document.createElement("canvas");
+  thumbnail.width = thumbnail.height = 48;
+  drawBoardThumbnail(thumbnail, saveDims, coords, conflicting);
+
+  const info = document.createElement("div");
+  info.classList.add("save-info");
+  info.innerHTML = `<div class="save-name"></div><div class="save-details"></div>`;
+  info.querySelector(".save-name").textContent = name;
+  info.querySelector(".save-details").textContent =
+    `${save.puzzle ? "Puzzle" : `Level ${getLevelName(save.level)}`} · ${saveRuleSet.name} · ${coords.length} pieces · ${conflicting.size} conflicts`;
+
+  const loadBtn = document.createElement("button");
+  loadBtn.textContent = "Load";
+  addButtonListener(loadBtn, () => {
+    loadSave(save);
+    toggleSavePanel();
+  });
+  item.append(thumbnail, info, loadBtn);
+
+  if (onDelete) {
+    const deleteBtn = document.createElement("button");
+    deleteBtn.title = "Delete";
+    deleteBtn.textContent = "×";
+    addButtonListener(deleteBtn, onDelete);
+    item.appendChild(deleteBtn);
   }
+  return item;
+}
 
-  composer.render();
+// Oblique projection of the cube: deeper layers shift up and to the right.
+function drawBoardThumbnail(canvas, [X, Y, Z], coords, conflicting) {
+  const ctx = canvas.getContext("2d");
+  const { colors } = getTheme(themeId);
+  const scale = (canvas.width - 4) / (Math.max(X, Y) + Z * 0.5);
+  ctx.fillStyle = "#111111";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  coords.forEach(([x, y, z], i) => {
+    const px = 2 + (x + z * 0.5 + 0.5) * scale;
+    const py = 2 + (Y - 1 - y + (Z - 1 - z) * 0.5 + 0.5) * scale;
+    ctx.fillStyle = toCssColor(conflicting.has(i) ? colors.conflict : colors.queen);
+    ctx.beginPath();
+    ctx.arc(px, py, Math.max(1.5, scale * 0.3), 0, Math.PI * 2);
+    ctx.fill();
+  });
 }
 
-// --- FIREBASE FUNCTIONS ---
+// --- IMPORT / EXPORT ---
+function exportBoard() {
+  document.getElementById("boardText").value = serializeBoard(board, ruleSet.id);
+}
+
+function importBoard(text) {
+  if (String(text).trim().startsWith("{")) return importLevels(text);
+  const result = parseBoard(text);
+  if (!result.ok) {
+    console.error("Board import failed:", result.errors);
+    showErrorMessage(`Can't import board: ${result.errors[0]}`);
+    return false;
+  }
+  ruleSet = getRuleSet(result.ruleSetId);
+  startLevel(toLevel(result.dims), result.board);
+  return true;
+}
+
+// Loads a curated level, or a pack from its first level, written in the
+// JSON format of src/levels.js.
+function importLevels(text) {
+  let isPack = false;
+  try {
+    isPack = "levels" in JSON.parse(text);
+  } catch (e) {
+    // parseLevel reports the broken JSON below.
+  }
+  const result = isPack ? parsePack(text) : parseLevel(text);
+  if (!result.ok) {
+    console.error("Level import failed:", result.errors);
+    showErrorMessage(`Can't import level: ${result.errors[0]}`);
+    return false;
+  }
+  if (isPack) {
+    openPack(result.pack);
+  } else {
+    if (isSandboxMode) setSandboxMode(false);
+    startLevel(result.level);
+  }
+  return true;
+}
+
+function getBoardLink() {
+  const { origin, pathname } = window.location;
+  const text = serializeBoard(board, ruleSet.id);
+  return `${origin}${pathname}#board=${encodeURIComponent(text)}`;
+}
+
+function copyBoardLink() {
+  const link = getBoardLink();
+  document.getElementById("boardText").value = link;
+  if (navigator.clipboard) {
+    navigator.clipboard
+      .writeText(link)
+      .then(() => showSuccessMessage("Link copied!"))
+      .catch((e) => console.error("Error copying link:", e));
+  }
+}
+
+// Loads a board shared as "#board=<text>" and clears the hash afterwards, so
+// a reload doesn't throw away progress made since.
+function importBoardFromHash() {
+  const prefix = "#board=";
+  if (!window.location.hash.startsWith(prefix)) return false;
+  const encoded = window.location.hash.slice(prefix.length);
+  history.replaceState(null, "", window.location.pathname + window.location.search);
+  let text;
+  try {
+    text = decodeURIComponent(encoded);
+  } catch (error) {
+    // A broken link falls back to the usual first level.
+    console.error("Board link could not be decoded:", error);
+    showErrorMessage("Can't import board: the link is damaged");
+    return false;
+  }
+  if (isSandboxMode) setSandboxMode(false);
+  return importBoard(text);
+}
+
+// --- UNDO / REDO ---
+// Every board edit goes through commitChange so that it can be undone.
+// `isMove` marks the player's own placements and removals, which count
+// towards the statistics once applied.
+function commitChange(change, isMove = false) {
+  if (change.added.length === 0 && change.removed.length === 0) return;
+  if (replayViewer) {
+    showErrorMessage("Close the replay to play");
+    return;
+  }
+  if (netSession) {
+    proposeChange(change);
+    return;
+  }
+  applyChange(change, false, isMove);
+  undoStack.push(change);
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack = [];
+  onBoardChanged();
+}
+
+function applyChange(change, reverse, isMove = false) {
+  const toRemove = reverse ? change.added : change.removed;
+  const toAdd = reverse ? change.removed : change.added;
+  toRemove.forEach(([x, y, z]) => {
+    board[z][y][x] = false;
+    attackTracker.remove(x, y, z);
+  });
+  const conflicts = toAdd.filter(([x, y, z]) => attackTracker.isAttacked(x, y, z));
+  toAdd.forEach(([x, y, z]) => {
+    board[z][y][x] = true;
+    attackTracker.add(x, y, z);
+  });
+  lastChange = { added: toAdd, removed: toRemove };
+  if (isMove) trackMove(toAdd.length, toRemove.length, conflicts.length);
+  if (replay) {
+    recordChange(
+      replay,
+      Date.now() - replay.recordedAt,
+      { added: toAdd, removed: toRemove },
+      getCameraState()
+    );
+  }
+}
+
+function undo() {
+  if (undoStack.length === 0 || !canStepHistory()) return;
+  cancelSolver();
+  const change = undoStack.pop();
+  applyChange(change, true);
+  redoStack.push(change);
+  onBoardChanged();
+}
+
+function redo() {
+  if (redoStack.length === 0 || !canStepHistory()) return;
+  cancelSolver();
+  const change = redoStack.pop();
+  applyChange(change, false);
+  undoStack.push(change);
+  onBoardChanged();
+}
+
+// Like commitChange, a replay on screen or a shared room keeps the board
+// out of the history's reach.
+function canStepHistory() {
+  if (replayViewer) {
+    showErrorMessage("Close the replay to play");
+    return false;
+  }
+  if (netSession) {
+    showErrorMessage("No undo in a shared room");
+    return false;
+  }
+  return true;
+}
+
+function onBoardChanged() {
+  clearHint();
+  updateDisplay();
+  saveCurrentState();
+  updateHistoryButtons();
+}
+
+// The history as saved and restored with a board. It also remembers
+// whether the solver filled the board in, so a reload can't pass that off
+// as the player's own.
+function getHistoryState() {
+  return {
+    undo: undoStack,
+    redo: redoStack,
+    usedSolver: !!playSession && playSession.usedSolver,
+  };
+}
+
+function updateHistoryButtons() {
+  document.getElementById("undoBtn").disabled = undoStack.length === 0;
+  document.getElementById("redoBtn").disabled = redoStack.length === 0;
+}
+
+// --- SANDBOX MODE ---
+function setSandboxMode(enabled) {
+  if (isSandboxMode === enabled) return;
+  if (enabled && board.length > 0) {
+    levelStateBeforeSandbox = {
+      level: puzzle || currentLevel,
+      board,
+      history: getHistoryState(),
+    };
+  }
+  isSandboxMode = enabled;
+  document.body.classList.toggle("sandbox-mode", enabled);
+  document.getElementById("sandboxModeBtn").classList.toggle("active", enabled);
+  if (enabled) {
+    renderConstellationList();
+    startLevel(sandboxSize);
+  } else {
+    const {
+      level = currentLevel,
+      board: savedBoard = null,
+      history = null,
+    } = levelStateBeforeSandbox || {};
+    startLevel(level, savedBoard, history);
+    levelStateBeforeSandbox = null;
+  }
+}
+
+function saveConstellation() {
+  const input = document.getElementById("constellationName");
+  const name = input.value.trim() || `Constellation ${constellations.length + 1}`;
+  const entry = {
+    name,
+    size: sandboxSize,
+    board: JSON.stringify(board),
+    savedAt: Date.now(),
+  };
+  const existing = constellations.findIndex((c) => c.name === name);
+  if (existing >= 0) {
+    constellations[existing] = entry;
+  } else {
+    constellations.push(entry);
+  }
+  input.value = "";
+  renderConstellationList();
+  saveGameData();
+  showSuccessMessage(`Saved "${name}"`);
+}
+
+function loadConstellation(index) {
+  const { size, board: savedBoard } = constellations[index];
+  startLevel(size, JSON.parse(savedBoard));
+}
+
+function deleteConstellation(index) {
+  constellations.splice(index, 1);
+  renderConstellationList();
+  saveGameData();
+}
+
+function renderConstellationList() {
+  const list = document.getElementById("constellationList");
+  list.innerHTML = "";
+  constellations.forEach((constellation, index) => {
+    const item = document.createElement("li");
+    const loadBtn = document.createElement("button");
+    loadBtn.classList.add("constellation-load");
+    loadBtn.textContent = `${constellation.name} (${getLevelName(constellation.size)})`;
+    addButtonListener(loadBtn, () => loadConstellation(index));
+    const deleteBtn = document.createElement("button");
+    deleteBtn.classList.add("constellation-delete");
+    deleteBtn.title = "Delete";
+    deleteBtn.textContent = "×";
+    addButtonListener(deleteBtn, () => deleteConstellation(index));
+    item.append(loadBtn, deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+// --- SOLVER ---
+function toggleSolver() {
+  if (solverWorker) {
+    cancelSolver();
+    return;
+  }
+  if (isEditorMode) {
+    showErrorMessage("Use Check to test a level in the editor");
+    return;
+  }
+  if (match) {
+    showErrorMessage("No solver during a match");
+    return;
+  }
+  const target = getTargetInfo().value;
+  stopTimer();
+  solverWorker = new Worker(new URL("./src/solver-worker.js", import.meta.url), {
+    type: "module",
+  });
+  solverWorker.onmessage = (event) => {
+    const data = event.data;
+    if (data.type === "progress") {
+      setSolverStatus(
+        `Solving... ${data.nodes.toLocaleString()} positions, best ${data.best}`
+      );
+      return;
+    }
+    finishSolver();
+    handleSolverResult(data, target);
+  };
+  solverWorker.onerror = (error) => {
+    console.error("Solver failed:", error);
+    finishSolver();
+    setSolverStatus("Solver failed.");
+  };
+  solverWorker.postMessage({
+    board,
+    target,
+    ruleSetId: ruleSet.id,
+    blocked: puzzle ? puzzle.blocked : [],
+  });
+  document.getElementById("solveBtn").classList.add("active");
+  setSolverStatus("Solving...");
+}
+
+function finishSolver() {
+  if (!solverWorker) return;
+  solverWorker.terminate();
+  solverWorker = null;
+  document.getElementById("solveBtn").classList.remove("active");
+}
+
+function cancelSolver() {
+  if (!solverWorker) return;
+  finishSolver();
+  setSolverStatus("");
+}
+
+function handleSolverResult(result, target) {
+  if (result.status === "conflict") {
+    setSolverStatus("Remove the conflicting queens before solving.");
+    return;
+  }
+  if (result.status === "unreachable") {
+    setSolverStatus(
+      `Target ${target} is out of reach from here. Best possible: ${result.best}.`
+    );
+    return;
+  }
+  setSolverStatus("");
+  // Marked before the board changes, so updateDisplay already knows.
+  if (playSession) playSession.usedSolver = true;
+  const current = new Set(getQueenCoords(board).map(String));
+  commitChange({
+    added: getQueenCoords(result.board).filter((c) => !current.has(String(c))),
+    removed: [],
+  });
+  showSuccessMessage("Solved! A solver's board doesn't count toward your best.");
+}
+
+function setSolverStatus(message) {
+  document.getElementById("solverStatus").textContent = message;
+}
+
+// --- CAMPAIGN ---
+// A pack of curated levels played in order. While one is open the level
+// arrows step through it instead of changing the board size.
+function toggleCampaignPanel() {
+  const panel = document.getElementById("campaignPanel");
+  const visible = panel.classList.toggle("visible");
+  document.getElementById("campaignBtn").classList.toggle("active", visible);
+  if (visible) renderCampaignList();
+}
+
+function openPack(pack) {
+  if (isSandboxMode) setSandboxMode(false);
+  if (isEditorMode) setEditorMode(false);
+  puzzlePack = { pack, index: 0 };
+  startPackLevel(0);
+  showSuccessMessage(`Opened "${pack.name}": ${pack.levels.length} levels`);
+}
+
+function loadStarterPack() {
+  fetch(new URL("./levels/starter-pack.json", import.meta.url))
+    .then((response) => response.text())
+    .then((text) => {
+      const result = parsePack(text);
+      if (!result.ok) throw new Error(result.errors[0]);
+      openPack(result.pack);
+    })
+    .catch((e) => {
+      console.error("Error loading the starter pack:", e);
+      showErrorMessage("Couldn't load the starter pack.");
+    });
+}
+
+// Reads the JSON files picked in a file or folder input: a single pack, a
+// handful of level files, or a whole folder of either.
+function loadPackFiles(input) {
+  const files = [...input.files].filter((file) => file.name.endsWith(".json"));
+  input.value = "";
+  if (files.length === 0) return;
+  const folder = files[0].webkitRelativePath.split("/")[0];
+  Promise.all(files.map((file) => file.text().then((text) => ({ name: file.name, text }))))
+    .then((contents) => {
+      const single = contents.length === 1 ? parsePack(contents[0].text) : null;
+      const result =
+        single && single.ok
+          ? single
+          : parseLevelFiles(folder || "Custom Levels", contents);
+      if (!result.ok) {
+        console.error("Pack import failed:", result.errors);
+        showErrorMessage(`Can't open pack: ${result.errors[0]}`);
+        return;
+      }
+      openPack(result.pack);
+    })
+    .catch((e) => console.error("Error reading level files:", e));
+}
+
+function exportPack() {
+  if (!puzzlePack) {
+    showErrorMessage("Open or build a pack first");
+    return;
+  }
+  const { pack } = puzzlePack;
+  downloadFile(`${getSlug(pack.name) || "pack"}.json`, serializePack(pack));
+}
+
+function isPuzzleSolved(level) {
+  return (bestScores[`puzzle:${level.id}`] || 0) >= level.target;
+}
+
+function renderCampaignList() {
+  const list = document.getElementById("campaignList");
+  list.innerHTML = "";
+  document.getElementById("campaignTitle").textContent = puzzlePack
+    ? puzzlePack.pack.name
+    : "No pack open";
+  if (!puzzlePack) return;
+  puzzlePack.pack.levels.forEach((level, i) => {
+    const item = document.createElement("li");
+    item.classList.toggle("current", i === puzzlePack.index);
+    item.classList.toggle("solved", isPuzzleSolved(level));
+    const button = document.createElement("button");
+    button.textContent = `${i + 1}. ${level.name}`;
+    button.title = `${formatDims(level.dims)} · ${getRuleSet(level.ruleSetId).name} · target ${level.target}`;
+    addButtonListener(button, () => startPackLevel(i));
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+// --- LEVEL EDITOR ---
+// Building a level plays it as a puzzle whose locked and blocked cells the
+// clicks change, so what the designer sees is what the player gets.
+function setEditorMode(enabled) {
+  if (isEditorMode === enabled) return;
+  if (enabled) {
+    if (isSandboxMode) setSandboxMode(false);
+    if (gameMode !== "free") showGameMode("free");
+    const draft = puzzle
+      ? { ...puzzle, locked: [...puzzle.locked], blocked: [...puzzle.blocked] }
+      : {
+          id: "new-level",
+          name: "New Level",
+          dims: [...dims],
+          ruleSetId: ruleSet.id,
+          target: getTargetInfo().value,
+          locked: [],
+          blocked: [],
+        };
+    isEditorMode = true;
+    startLevel(draft);
+  } else {
+    isEditorMode = false;
+    cancelCheck();
+    // Play the level just built, as the pack's copy if it was added to one.
+    const index = puzzlePack
+      ? puzzlePack.pack.levels.findIndex((level) => level.id === puzzle.id)
+      : -1;
+    if (index >= 0) {
+      startPackLevel(index);
+    } else {
+      startLevel(puzzle);
+    }
+  }
+  document.body.classList.toggle("editor-mode", enabled);
+  document.getElementById("editorBtn").classList.toggle("active", enabled);
+  document.getElementById("editorPanel").classList.toggle("visible", enabled);
+  showDraft();
+}
+
+function setEditorTool(tool) {
+  editorTool = tool;
+  document
+    .querySelectorAll("#editorPanel [data-tool]")
+    .forEach((button) => button.classList.toggle("active", button.dataset.tool === tool));
+}
+
+function showDraft() {
+  if (!isEditorMode) return;
+  document.getElementById("editorLevelName").value = puzzle.name;
+  document.getElementById("editorTarget").value = puzzle.target;
+  setEditorStatus("");
+}
+
+function setEditorStatus(message) {
+  document.getElementById("editorStatus").textContent = message;
+}
+
+// Puts the current tool on a cell, or takes it off if it's already there.
+function editCell(x, y, z) {
+  const key = `${x},${y},${z}`;
+  const wasLocked = fixedCells.locked.has(key);
+  const wasBlocked = fixedCells.blocked.has(key);
+  puzzle.locked = puzzle.locked.filter((cell) => String(cell) !== key);
+  puzzle.blocked = puzzle.blocked.filter((cell) => String(cell) !== key);
+  if (wasLocked) {
+    board[z][y][x] = false;
+    attackTracker.remove(x, y, z);
+  }
+  if (wasBlocked) attackTracker.unblock(x, y, z);
+
+  if (editorTool === "locked" && !wasLocked) {
+    puzzle.locked.push([x, y, z]);
+    board[z][y][x] = true;
+    attackTracker.add(x, y, z);
+  } else if (editorTool === "blocked" && !wasBlocked) {
+    puzzle.blocked.push([x, y, z]);
+    attackTracker.block(x, y, z);
+  }
+  fixedCells = getFixedCells(puzzle);
+  cancelCheck();
+  setEditorStatus("");
+  updateDisplay();
+}
+
+// Keeps the cells that still fit on the new board.
+function resizeDraft(newDims) {
+  const fits = (cell) => cell.every((c, i) => c < newDims[i]);
+  puzzle.dims = newDims;
+  puzzle.locked = puzzle.locked.filter(fits);
+  puzzle.blocked = puzzle.blocked.filter(fits);
+  startLevel(puzzle);
+  showDraft();
+}
+
+function getSlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function renameDraft(name) {
+  puzzle.name = name.trim() || "New Level";
+  puzzle.id = getSlug(puzzle.name) || "new-level";
+  document.getElementById("levelTitle").textContent = getPuzzleTitle();
+}
+
+function setDraftTarget(target) {
+  if (!(target > 0)) return;
+  puzzle.target = target;
+  showTarget(getTargetInfo());
+  updateDisplay();
+}
+
+// The draft as parseLevel sees it, or null after reporting its problems.
+function validateDraft() {
+  const result = parseLevel(serializeLevel(puzzle));
+  if (!result.ok) {
+    setEditorStatus(result.errors.join("\n"));
+    return null;
+  }
+  return result.level;
+}
+
+function checkDraft() {
+  const level = validateDraft();
+  if (!level || checkWorker) return;
+  checkWorker = new Worker(new URL("./src/solver-worker.js", import.meta.url), {
+    type: "module",
+  });
+  checkWorker.onmessage = (event) => {
+    cancelCheck();
+    const { solvable, unique } = event.data;
+    setEditorStatus(
+      solvable === null
+        ? "Couldn't tell in time whether it can be solved."
+        : !solvable
+        ? "Can't be solved."
+        : unique === null
+        ? "Solvable. Couldn't tell in time whether the solution is unique."
+        : unique
+        ? "Solvable, with exactly one solution."
+        : "Solvable, with more than one solution."
+    );
+  };
+  checkWorker.onerror = (error) => {
+    console.error("Level check failed:", error);
+    cancelCheck();
+    setEditorStatus("The check failed.");
+  };
+  checkWorker.postMessage({ mode: "check", level });
+  setEditorStatus("Checking...");
+}
+
+function cancelCheck() {
+  if (!checkWorker) return;
+  checkWorker.terminate();
+  checkWorker = null;
+}
+
+function exportDraft() {
+  const level = validateDraft();
+  if (level) downloadFile(`${level.id}.json`, serializeLevel(level));
+}
+
+// Appends a copy of the draft to the open pack, starting one if needed.
+function addDraftToCampaign() {
+  const level = validateDraft();
+  if (!level) return;
+  if (!puzzlePack) puzzlePack = { pack: { name: "My Pack", levels: [] }, index: 0 };
+  const { levels } = puzzlePack.pack;
+  const existing = levels.findIndex((entry) => entry.id === level.id);
+  if (existing >= 0) {
+    levels[existing] = level;
+  } else {
+    levels.push(level);
+  }
+  renderCampaignList();
+  showSuccessMessage(`"${level.name}" is in ${puzzlePack.pack.name}`);
+}
+
+function downloadFile(name, text) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// --- CHALLENGES ---
+// Timed mode clocks how long the target takes on any level; the daily puzzle
+// is timed too, starting from the locked queens of today's generated board.
+function setGameMode(mode) {
+  if (isSandboxMode) setSandboxMode(false);
+  const previousDaily = dailyPuzzle;
+  showGameMode(mode);
+  if (mode === "daily") {
+    startLevel(dailyPuzzle);
+  } else if (mode === "versus") {
+    startLevel(currentLevel);
+  } else {
+    startLevel(puzzle && puzzle !== previousDaily ? puzzle : currentLevel);
+  }
+}
+
+function showGameMode(mode) {
+  gameMode = mode;
+  dailyPuzzle =
+    mode === "daily" ? generateDailyPuzzle(getDateKey(new Date())) : null;
+  document.getElementById("gameModeSelect").value = mode;
+  document.body.classList.toggle("challenge-mode", isTimedMode());
+  document.body.classList.toggle("versus-mode", mode === "versus");
+}
+
+function isTimedMode() {
+  return gameMode === "timed" || gameMode === "daily";
+}
+
+// A loaded board, the sandbox or a different board than today's puzzle
+// would make the clock meaningless, so any of them ends the challenge.
+// Matches start from an empty board with no fixed cells.
+function fitsGameMode(level, initialBoard) {
+  if (initialBoard || isSandboxMode) return false;
+  if (gameMode === "versus") return !isPuzzle(level);
+  return gameMode !== "daily" || level === dailyPuzzle;
+}
+
+function getChallengeRecord() {
+  return gameMode === "daily"
+    ? { times: dailyTimes, key: dailyPuzzle.dateKey }
+    : { times: bestTimes, key: getScoreKey() };
+}
+
+// Stops the clock on a completed board and files the time. Returns the
+// message to show.
+function finishChallenge() {
+  const time = Date.now() - timerStartedAt;
+  timerStartedAt = null;
+  showTimer(time);
+  const { times, key } = getChallengeRecord();
+  const isRecord = isBetterTime(time, times[key]);
+  if (isRecord) {
+    times[key] = time;
+    saveGameData();
+    showBestTime();
+  }
+  const what = gameMode === "daily" ? "Daily puzzle solved" : "Target reached";
+  return `${what} in ${formatDuration(time)}${isRecord ? " · New best time!" : ""}`;
+}
+
+// Help from the solver voids the run; the board stays playable.
+function stopTimer() {
+  if (timerStartedAt === null) return;
+  timerStartedAt = null;
+  document.getElementById("challengeTimer").textContent = "Untimed";
+}
+
+function showTimer(time) {
+  document.getElementById("challengeTimer").textContent = formatDuration(time);
+}
+
+function showBestTime() {
+  const { times, key } = getChallengeRecord();
+  const best = times[key];
+  document.getElementById("bestTime").textContent =
+    best === undefined ? "–" : formatDuration(best);
+}
+
+// --- VERSUS ---
+// Two players, or a player and the AI, take turns on one board; see
+// src/versus.js for the rules. Moves go straight to the board rather than
+// through the undo history, since a match has no take-backs.
+const AI_MOVE_DELAY = 500; // ms, so the AI's reply doesn't land instantly
+const PLAYER_COLORS = [
+  new THREE.Color(0xdaa520), // GoldenRod, like a solo queen
+  new THREE.Color(0x4f8fe0), // Cornflower
+];
+
+function setOpponent(opponent) {
+  versusOpponent = opponent;
+  if (match) startLevel(currentLevel);
+}
+
+function getPlayerName(player) {
+  if (netSession && player === netSession.seat) return "You";
+  if (netSession) return `Player ${player + 1}`;
+  if (player === 1 && versusOpponent !== "human") {
+    return `${AI_LEVELS[versusOpponent].name} AI`;
+  }
+  return `Player ${player + 1}`;
+}
+
+function isAiTurn() {
+  return match.turn === 1 && versusOpponent !== "human";
+}
+
+// A click or key press from whoever sits at the keyboard.
+function playVersusMove(cell) {
+  if (match.winner !== null || isAiTurn()) return;
+  placeVersusQueen(cell, true);
+}
+
+function placeVersusQueen([x, y, z], isMove = false) {
+  if (!match.play([x, y, z])) {
+    showErrorMessage(
+      board[z][y][x] ? "That cell is taken" : "That cell is under attack"
+    );
+    return;
+  }
+  applyChange({ added: [[x, y, z]], removed: [] }, false, isMove);
+  onBoardChanged();
+  if (match.winner !== null) {
+    showSuccessMessage(`${getPlayerName(match.winner)} wins!`);
+  } else if (isAiTurn()) {
+    aiMoveTimer = setTimeout(playAiMove, AI_MOVE_DELAY);
+  }
+}
+
+function playAiMove() {
+  aiMoveTimer = null;
+  const cell = chooseAiMove(match, versusOpponent);
+  if (cell) placeVersusQueen(cell);
+}
+
+function cancelAiMove() {
+  clearTimeout(aiMoveTimer);
+  aiMoveTimer = null;
+}
+
+function showVersusScore() {
+  const [one, two] = match.counts;
+  document.getElementById("playerOneCount").textContent = one;
+  document.getElementById("playerTwoCount").textContent = two;
+  document.getElementById("playerTwoName").textContent = getPlayerName(1);
+  const status = document.getElementById("versusStatus");
+  const player = match.winner ?? match.turn;
+  status.textContent =
+    match.winner === null
+      ? `${getPlayerName(player)} to move`
+      : `${getPlayerName(player)} wins`;
+  status.classList.toggle("player-two", player === 1);
+}
+
+// --- NETPLAY ---
+// Shares one board with other tabs or browsers. While in a room, edits go to
+// the host as proposals (see commitChange) and the board only changes when
+// the host's ops come back, so every peer sees the same board.
+function toggleNetPanel() {
+  const visible = document.getElementById("netPanel").classList.toggle("visible");
+  document.getElementById("netBtn").classList.toggle("active", visible);
+}
+
+function setNetStatus(message) {
+  document.getElementById("netStatus").textContent = message;
+}
+
+function openRoomTransport() {
+  const room = document.getElementById("roomName").value.trim();
+  if (!room) {
+    showErrorMessage("Name the room first");
+    return null;
+  }
+  try {
+    const transport =
+      document.getElementById("netTransport").value === "online"
+        ? createFirestoreTransport(room)
+        : createBroadcastTransport(room);
+    return { room, transport };
+  } catch (error) {
+    console.error("Couldn't open the room:", error);
+    showErrorMessage("Couldn't open the room");
+    return null;
+  }
+}
+
+// Co-op shares the current board; versus starts an empty one, with the host
+// moving first.
+function hostRoom(mode) {
+  if (isEditorMode) setEditorMode(false);
+  if (isSandboxMode) setSandboxMode(false);
+  const opened = openRoomTransport();
+  if (!opened) return;
+  if (netSession) closeRoom();
+  const session = createNetSession(opened.transport, {
+    peerId,
+    game: {
+      dims: [...dims],
+      ruleSetId: ruleSet.id,
+      mode,
+      queens: mode === "coop" && !puzzle ? getQueenCoords(board) : [],
+    },
+    onOp: showNetOp,
+    onReject: (op, reason) => showErrorMessage(reason),
+  });
+  startNetGame(session);
+  setNetStatus(`Hosting "${opened.room}"`);
+}
+
+function joinRoom() {
+  const opened = openRoomTransport();
+  if (!opened) return;
+  if (netSession) closeRoom();
+  const session = createNetSession(opened.transport, {
+    peerId,
+    onStart: () => {
+      startNetGame(session);
+      setNetStatus(`In "${opened.room}"`);
+    },
+    onOp: showNetOp,
+    onReject: (op, reason) => showErrorMessage(reason),
+  });
+  netSession = session;
+  setNetStatus(`Waiting for the host of "${opened.room}"...`);
+}
+
+// Keeps the board as it stood.
+function leaveRoom() {
+  if (!netSession) return;
+  const isStarted = netSession.game !== null;
+  closeRoom();
+  if (isStarted) startLevel(currentLevel, board);
+}
+
+function closeRoom() {
+  netSession.close();
+  netSession = null;
+  document.body.classList.remove("net-mode");
+  setNetStatus("Not in a room");
+}
+
+function startNetGame(session) {
+  const game = session.game;
+  netSession = null; // Or starting the level would close the room
+  if (isEditorMode) setEditorMode(false);
+  if (isSandboxMode) setSandboxMode(false);
+  ruleSet = getRuleSet(game.ruleSetId);
+  showGameMode(game.mode === "versus" ? "versus" : "free");
+  startLevel(toLevel(game.dims));
+  // The level's autosaved history belongs to the local board, not the room's.
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+  netSession = session;
+  match = session.match;
+  document.body.classList.add("net-mode");
+  showNetBoard();
+}
+
+function proposeChange(change) {
+  if (!netSession.game) {
+    showErrorMessage("Still waiting for the host");
+    return;
+  }
+  change.removed.forEach((cell) => netSession.propose({ kind: "remove", cell }));
+  change.added.forEach((cell) => netSession.propose({ kind: "place", cell }));
+}
+
+function showNetOp(op, from) {
+  showNetBoard(from === peerId);
+  if (match && match.winner !== null) {
+    showSuccessMessage(`${getPlayerName(match.winner)} won!`);
+  }
+}
+
+// Brings the local board in line with the room's. A room has no undo, so
+// these changes skip the history. `isMove` when this peer made the change.
+function showNetBoard(isMove = false) {
+  const shared = netSession.board;
+  applyChange(
+    {
+      added: getQueenCoords(shared).filter(([x, y, z]) => !board[z][y][x]),
+      removed: getQueenCoords(board).filter(([x, y, z]) => !shared[z][y][x]),
+    },
+    false,
+    isMove
+  );
+  onBoardChanged();
+}
+
+// --- REPLAYS ---
+// Each level records its session from the moment it starts: every board
+// change with its time and camera. The replay panel plays the recording
+// back, saves it as a file or opens one somebody else saved.
+function toggleReplayPanel() {
+  const visible = document.getElementById("replayPanel").classList.toggle("visible");
+  document.getElementById("replayBtn").classList.toggle("active", visible);
+}
+
+function getCameraState() {
+  return {
+    angleX: targetCameraAngleX,
+    angleY: targetCameraAngleY,
+    distance: cameraDistance,
+    hiddenLayers,
+  };
+}
+
+// The sandbox and the editor aren't recorded.
+function startRecording() {
+  replay =
+    isSandboxMode || isEditorMode
+      ? null
+      : createReplay({
+          dims,
+          ruleSetId: ruleSet.id,
+          puzzle,
+          board,
+          camera: getCameraState(),
+          recordedAt: Date.now(),
+        });
+}
+
+function exportReplay() {
+  if (!replay) {
+    showErrorMessage("Nothing is recorded here");
+    return;
+  }
+  const name = replay.puzzle ? replay.puzzle.id : getSizeName(replay.dims);
+  const date = getDateKey(new Date(replay.recordedAt));
+  downloadFile(`replay-${name}-${date}.json`, serializeReplay(replay));
+}
+
+function openReplayFile(input) {
+  const [file] = input.files;
+  input.value = "";
+  if (!file) return;
+  file
+    .text()
+    .then((text) => {
+      const result = parseReplay(text);
+      if (!result.ok) {
+        console.error("Replay import failed:", result.errors);
+        showErrorMessage(`Can't open replay: ${result.errors[0]}`);
+        return;
+      }
+      watchReplay(result.replay);
+    })
+    .catch((e) => console.error("Error reading replay file:", e));
+}
+
+// Puts the replay's board on screen and plays it from the start. Closing
+// the replay brings back the board and recording from before.
+function watchReplay(recording) {
+  if (isEditorMode) setEditorMode(false);
+  if (isSandboxMode) setSandboxMode(false);
+  const returnTo = stateBeforeReplay || {
+    level: puzzle || currentLevel,
+    ruleSetId: ruleSet.id,
+    board,
+    history: getHistoryState(),
+    replay,
+  };
+  ruleSet = getRuleSet(recording.ruleSetId);
+  startLevel(
+    recording.puzzle ? parseLevel(recording.puzzle).level : toLevel(recording.dims),
+    createEmptyBoard(...recording.dims)
+  );
+  replay = null;
+  stateBeforeReplay = returnTo;
+  replayViewer = {
+    replay: recording,
+    time: 0,
+    speed: parseFloat(document.getElementById("replaySpeed").value),
+    isPlaying: true,
+    shownEvents: -1,
+    lastTick: Date.now(),
+  };
+  document.body.classList.add("replay-mode");
+  document.getElementById("replayScrub").max = getReplayDuration(recording);
+  showReplayPlaying();
+  showReplayFrame();
+}
+
+function closeReplay() {
+  if (!replayViewer) return;
+  const { level, ruleSetId, board: savedBoard, history, replay: recording } =
+    stateBeforeReplay;
+  ruleSet = getRuleSet(ruleSetId);
+  startLevel(level, savedBoard, history);
+  replay = recording;
+}
+
+// Leaves the replay where it is, as when another level is started.
+function endReplayView() {
+  replayViewer = null;
+  stateBeforeReplay = null;
+  fadingQueens = [];
+  document.body.classList.remove("replay-mode");
+}
+
+function toggleReplayPlayback() {
+  if (!replayViewer) return;
+  const end = getReplayDuration(replayViewer.replay);
+  if (!replayViewer.isPlaying && replayViewer.time >= end) replayViewer.time = 0;
+  replayViewer.isPlaying = !replayViewer.isPlaying;
+  showReplayPlaying();
+}
+
+function showReplayPlaying() {
+  document.getElementById("replayPlayBtn").textContent = replayViewer.isPlaying
+    ? "⏸"
+    : "▶";
+}
+
+function seekReplay(time) {
+  replayViewer.time = time;
+  showReplayFrame();
+}
+
+// Runs every animation frame; the last queen gets to finish fading in
+// before playback stops.
+function advanceReplay() {
+  const now = Date.now();
+  if (replayViewer.isPlaying) {
+    const end = getReplayDuration(replayViewer.replay) + FADE_TIME;
+    replayViewer.time += (now - replayViewer.lastTick) * replayViewer.speed;
+    if (replayViewer.time >= end) {
+      replayViewer.time = end;
+      replayViewer.isPlaying = false;
+      showReplayPlaying();
+    }
+    showReplayFrame();
+  }
+  replayViewer.lastTick = now;
+}
+
+function showReplayFrame() {
+  const { replay: recording, time } = replayViewer;
+  const frame = getReplayFrame(recording, time);
+  targetCameraAngleX = frame.camera.angleX;
+  targetCameraAngleY = frame.camera.angleY;
+  cameraDistance = frame.camera.distance;
+  fadingQueens = frame.fading;
+  if (frame.eventCount !== replayViewer.shownEvents) {
+    replayViewer.shownEvents = frame.eventCount;
+    board = frame.board;
+    hiddenLayers = frame.camera.hiddenLayers;
+    rebuildAttackTracker();
+    updateDisplay();
+  } else {
+    updateQueenInstances();
+  }
+  const duration = getReplayDuration(recording);
+  document.getElementById("replayScrub").value = Math.min(time, duration);
+  document.getElementById("replayTime").textContent = `${formatDuration(
+    Math.min(time, duration)
+  )} / ${formatDuration(duration)}`;
+}
+
+// --- STATISTICS ---
+// Play is tracked per level under its score key. A play session follows
+// the current level from startLevel: when the last move was made and which
+// helpers were used, so a completion knows what it earned.
+function startPlaySession() {
+  const now = Date.now();
+  playSession =
+    isSandboxMode || isEditorMode
+      ? null
+      : {
+          key: getScoreKey(),
+          startedAt: now,
+          lastMoveAt: now,
+          usedAssist: isAssistMode,
+          usedHints: false,
+          usedSolver: false,
+          hadConflict: false,
+        };
+}
+
+// Counts a move applyChange has just made: how many queens it placed and
+// removed, and how many of the placed ones landed on an attacked cell.
+function trackMove(placed, removed, conflicts) {
+  if (!playSession) return;
+  const now = Date.now();
+  const dateKey = getDateKey(new Date(now));
+  recordPlayTime(stats, playSession.key, dateKey, now - playSession.lastMoveAt);
+  playSession.lastMoveAt = now;
+  for (let i = 0; i < placed; i++) {
+    recordPlacement(stats, playSession.key, dateKey, {
+      isConflict: i < conflicts,
+      withAssist: isAssistMode,
+    });
+  }
+  for (let i = 0; i < removed; i++) recordRemoval(stats, playSession.key, dateKey);
+  const unlocked = unlockAchievements(stats, dateKey);
+  if (unlocked.length > 0) {
+    saveGameData();
+    showAchievements(unlocked);
+  }
+}
+
+function trackCompletion() {
+  if (!playSession) return;
+  const now = Date.now();
+  const unlocked = recordCompletion(
+    stats,
+    playSession.key,
+    getDateKey(new Date(now)),
+    {
+      dims,
+      ruleSetId: ruleSet.id,
+      isPuzzle: !!puzzle,
+      timeMs: now - playSession.startedAt,
+      usedAssist: playSession.usedAssist,
+      usedHints: playSession.usedHints,
+      usedSolver: playSession.usedSolver,
+      hadConflict: playSession.hadConflict,
+    },
+    now
+  );
+  saveGameData();
+  showAchievements(unlocked);
+}
+
+// Waits for the notification already showing, which is usually the one
+// that announced the move that earned the achievement.
+function showAchievements(unlocked) {
+  if (unlocked.length === 0) return;
+  const message = unlocked
+    .map(({ name }) => `Achievement unlocked: ${name}`)
+    .join(" · ");
+  setTimeout(() => showSuccessMessage(message), notificationTimer ? 2000 : 0);
+}
+
+function openStatsScreen() {
+  renderStats();
+  document.getElementById("statsScreen").classList.add("visible");
+}
+
+function closeStatsScreen() {
+  document.getElementById("statsScreen").classList.remove("visible");
+}
+
+function formatPlayTime(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60
+    ? `${minutes}m`
+    : `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+function renderStats() {
+  const totals = getTotals(stats);
+  const today = new Date();
+  const streaks = getStreaks(stats.days, getDateKey(today));
+  const days = (count) => `${count} day${count === 1 ? "" : "s"}`;
+  const summary = document.getElementById("statsSummary");
+  summary.innerHTML = "";
+  [
+    ["Time played", formatPlayTime(totals.timeMs)],
+    ["Queens placed", totals.placements],
+    ["Queens removed", totals.removals],
+    ["Conflicts caused", totals.conflicts],
+    ["Placed with assist", totals.assistPlacements],
+    ["Hints taken", totals.hints],
+    ["Targets reached", totals.completions],
+    ["Clean solves", totals.cleanCompletions],
+    ["Current streak", days(streaks.current)],
+    ["Best streak", days(streaks.best)],
+  ].forEach(([label, value]) => {
+    const item = document.createElement("div");
+    item.className = "stats-item";
+    const valueEl = document.createElement("span");
+    valueEl.className = "stats-value";
+    valueEl.textContent = value;
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    item.append(valueEl, labelEl);
+    summary.appendChild(item);
+  });
+
+  const recentDays = [];
+  for (let i = 13; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+    const key = getDateKey(date);
+    const day = stats.days[key];
+    recentDays.push({
+      label: key.slice(8),
+      value: Math.round((day ? day.timeMs : 0) / 60000),
+    });
+  }
+  drawBarChart(document.getElementById("dailyChart"), recentDays, "queen");
+
+  const levels = Object.entries(stats.levels)
+    .filter(([, level]) => level.timeMs > 0)
+    .sort(([, a], [, b]) => b.timeMs - a.timeMs)
+    .slice(0, 10)
+    .map(([key, level]) => ({
+      label: key.startsWith("puzzle:") ? key.slice(7) : key,
+      value: Math.round(level.timeMs / 60000),
+    }));
+  drawBarChart(document.getElementById("levelChart"), levels, "valid");
+
+  const list = document.getElementById("achievementList");
+  list.innerHTML = "";
+  ACHIEVEMENTS.forEach(({ id, name, description }) => {
+    const unlockedAt = stats.achievements[id];
+    const item = document.createElement("li");
+    item.classList.toggle("unlocked", !!unlockedAt);
+    item.title = unlockedAt
+      ? `Unlocked ${new Date(unlockedAt).toLocaleDateString()}`
+      : "Locked";
+    const nameEl = document.createElement("strong");
+    nameEl.textContent = name;
+    const descriptionEl = document.createElement("span");
+    descriptionEl.textContent = description;
+    item.append(nameEl, descriptionEl);
+    list.appendChild(item);
+  });
+  const unlockedCount = ACHIEVEMENTS.filter(({ id }) => stats.achievements[id]).length;
+  document.getElementById("achievementCount").textContent =
+    `${unlockedCount} / ${ACHIEVEMENTS.length}`;
+}
+
+// `bars` is [{ label, value }], drawn left to right and scaled so the
+// tallest fills the chart, in the theme's `role` color.
+function drawBarChart(canvas, bars, role) {
+  const ctx = canvas.getContext("2d");
+  const { colors } = getTheme(themeId);
+  const textColor = toCssColor(colors.inner);
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = "10px Inter, sans-serif";
+  ctx.textAlign = "center";
+  if (bars.length === 0) {
+    ctx.fillStyle = textColor;
+    ctx.fillText("Nothing played yet", width / 2, height / 2);
+    return;
+  }
+  const max = Math.max(1, ...bars.map(({ value }) => value));
+  const slot = width / bars.length;
+  const chartHeight = height - 30; // room for the labels below and above
+  bars.forEach(({ label, value }, i) => {
+    const barHeight = (value / max) * chartHeight;
+    const center = i * slot + slot / 2;
+    ctx.fillStyle = toCssColor(colors[role]);
+    ctx.fillRect(center - slot * 0.3, height - 16 - barHeight, slot * 0.6, barHeight);
+    ctx.fillStyle = textColor;
+    ctx.fillText(label, center, height - 4, slot);
+    if (value > 0) ctx.fillText(value, center, height - 20 - barHeight);
+  });
+}
+
+// --- ACCESSIBILITY ---
+// Alongside the WebGL view the board is kept as a table of the cursor's Z
+// layer: one focusable button per cell, labelled for screen readers, with
+// arrow keys moving between cells and Page Up/Down between layers. Board
+// changes are announced through a live region.
+function setTheme(id) {
+  applyTheme(id);
+  saveGameData();
+}
+
+// Recolors the board and sets the HUD's --<role>-color CSS variables.
+function applyTheme(id) {
+  const theme = getTheme(id);
+  const { colors } = theme;
+  themeId = theme.id;
+  VALID_COLOR.set(colors.valid);
+  INVALID_COLOR.set(colors.invalid);
+  CONFLICT_COLOR.set(colors.conflict);
+  HOVER_COLOR.set(colors.hover);
+  HINT_COLOR.set(colors.hover);
+  BLOCKED_COLOR.set(colors.blocked);
+  QUEEN_COLOR.set(colors.queen);
+  LOCKED_QUEEN_COLOR.set(colors.lockedQueen);
+  PLAYER_COLORS[0].set(colors.queen);
+  PLAYER_COLORS[1].set(colors.playerTwo);
+  const { style } = document.documentElement;
+  Object.entries(colors).forEach(([role, color]) => {
+    const name = role.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+    style.setProperty(`--${name}-color`, toCssColor(color));
+  });
+  document.getElementById("themeSelect").value = themeId;
+  renderSaveSlotList(); // Its thumbnails are drawn in the theme's colors
+  if (!wireframeMesh) return;
+  blockedMesh.material.color.copy(BLOCKED_COLOR);
+  updateDisplay();
+}
+
+function announce(message) {
+  document.getElementById("boardAnnouncer").textContent = message;
+}
+
+function renderBoardReader() {
+  const table = document.getElementById("boardReaderTable");
+  const hadFocus = table.contains(document.activeElement);
+  const [X, Y, Z] = dims;
+  readerCursor = {
+    x: Math.min(readerCursor.x, X - 1),
+    y: Math.min(readerCursor.y, Y - 1),
+    z: Math.min(readerCursor.z, Z - 1),
+  };
+  const { z } = readerCursor;
+  document.getElementById("boardReaderTitle").textContent =
+    `Layer z = ${z}, ${z + 1} of ${Z}`;
+  document.getElementById("boardReaderQueens").textContent =
+    describeQueens(queenCells);
+
+  [...table.rows].forEach((row) => row.remove());
+  const header = table.insertRow();
+  header.appendChild(document.createElement("td"));
+  for (let x = 0; x < X; x++) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = `x = ${x}`;
+    header.appendChild(th);
+  }
+  // Rows run from the top down, like the flat view.
+  for (let y = Y - 1; y >= 0; y--) {
+    const row = table.insertRow();
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = `y = ${y}`;
+    row.appendChild(th);
+    for (let x = 0; x < X; x++) {
+      const state = getCellState(fixedCells, board, [x, y, z]);
+      const isAttacked = !isSandboxMode && attackTracker.isAttacked(x, y, z);
+      const owner =
+        match && board[z][y][x] ? getPlayerName(match.owners[z][y][x]) : null;
+      const button = document.createElement("button");
+      button.dataset.x = x;
+      button.dataset.y = y;
+      button.tabIndex = x === readerCursor.x && y === readerCursor.y ? 0 : -1;
+      button.setAttribute("aria-label", describeCell([x, y, z], { state, isAttacked, owner }));
+      button.textContent =
+        state === CELL.BLOCKED ? "×" : board[z][y][x] ? "♛" : isAttacked ? "·" : "";
+      button.classList.toggle("conflict", board[z][y][x] && isAttacked);
+      // A plain click: mobile screen readers activate buttons with one, not
+      // with the touchstart addButtonListener waits for.
+      button.addEventListener("click", () => selectCell(x, y, z));
+      row.insertCell().appendChild(button);
+    }
+  }
+  if (hadFocus) focusReaderCursor();
+}
+
+function focusReaderCursor() {
+  const { x, y } = readerCursor;
+  const button = document.querySelector(
+    `#boardReaderTable button[data-x="${x}"][data-y="${y}"]`
+  );
+  if (button) button.focus();
+}
+
+function setReaderLayer(z) {
+  readerCursor = { ...readerCursor, z: Math.max(0, Math.min(dims[2] - 1, z)) };
+  renderBoardReader();
+}
+
+// Keys used here don't reach onKeyDown, which would move the 3D cursor
+// instead.
+function onReaderKeyDown(event) {
+  const steps = {
+    ArrowLeft: [-1, 0, 0],
+    ArrowRight: [1, 0, 0],
+    ArrowUp: [0, 1, 0],
+    ArrowDown: [0, -1, 0],
+    PageUp: [0, 0, 1],
+    PageDown: [0, 0, -1],
+  };
+  if (event.code === "Space" || event.code === "Enter") {
+    event.stopPropagation();
+    return;
+  }
+  const step = steps[event.code];
+  if (!step) return;
+  event.preventDefault();
+  event.stopPropagation();
+  const [dx, dy, dz] = step;
+  const clamp = (value, size) => Math.max(0, Math.min(size - 1, value));
+  readerCursor = {
+    x: clamp(readerCursor.x + dx, dims[0]),
+    y: clamp(readerCursor.y + dy, dims[1]),
+    z: clamp(readerCursor.z + dz, dims[2]),
+  };
+  if (dz !== 0) {
+    renderBoardReader();
+    announce(`Layer z = ${readerCursor.z}`);
+  }
+  focusReaderCursor();
+}
+
+// --- SYMMETRY ---
+function toggleSymmetryPanel() {
+  const panel = document.getElementById("symmetryPanel");
+  const visible = panel.classList.toggle("visible");
+  document.getElementById("symmetryPanelBtn").classList.toggle("active", visible);
+}
+
+// Replaces the placement with its rotated or mirrored copy as one undoable
+// change. Quarter turns of a box only fit when the two edges they swap match.
+function applySymmetry(newBoard) {
+  const newDims = getBoardDims(newBoard);
+  if (newDims.some((size, i) => size !== dims[i])) {
+    showErrorMessage(`A ${formatDims(dims)} board can't turn that way`);
+    return;
+  }
+  if (puzzle) {
+    showErrorMessage("A puzzle's fixed cells can't be moved");
+    return;
+  }
+  if (match) {
+    showErrorMessage("Queens stay where they are placed in a match");
+    return;
+  }
+  cancelSolver();
+  const before = new Set(getQueenCoords(board).map(String));
+  const after = new Set(getQueenCoords(newBoard).map(String));
+  commitChange({
+    added: getQueenCoords(newBoard).filter((c) => !before.has(String(c))),
+    removed: getQueenCoords(board).filter((c) => !after.has(String(c))),
+  });
+}
+
+function showDistinctSolutions(key) {
+  const record = solutions[key];
+  document.getElementById("distinctSolutions").textContent = record
+    ? record.keys.length
+    : 0;
+}
+
+// Files a completed board under its canonical key, so solutions that are
+// only rotations or mirror images of each other count once.
+function recordSolution(key, queenCount) {
+  const record = addDistinctSolution(
+    solutions[key],
+    getCanonicalKey(board),
+    queenCount
+  );
+  if (record === solutions[key]) return false;
+  solutions[key] = record;
+  showDistinctSolutions(key);
+  saveGameData();
+  return true;
+}
+
+// --- HINTS ---
+// A hint runs a bounded search in the solver worker for a cell that keeps
+// the target reachable, then turns the camera towards it.
+const HINT_COLOR = new THREE.Color(0x00ffff);
+
+function requestHint() {
+  if (isSandboxMode || isEditorMode || match || hintWorker) return;
+  if (replayViewer) {
+    showErrorMessage("Close the replay to play");
+    return;
+  }
+  cancelSolver();
+  clearHint();
+  hintWorker = new Worker(new URL("./src/solver-worker.js", import.meta.url), {
+    type: "module",
+  });
+  hintWorker.onmessage = (event) => {
+    finishHintSearch();
+    showHint(event.data);
+  };
+  hintWorker.onerror = (error) => {
+    console.error("Hint search failed:", error);
+    finishHintSearch();
+    showErrorMessage("Couldn't look for a hint.");
+  };
+  hintWorker.postMessage({
+    mode: "hint",
+    board,
+    target: getTargetInfo().value,
+    ruleSetId: ruleSet.id,
+    blocked: puzzle ? puzzle.blocked : [],
+  });
+  document.getElementById("hintBtn").classList.add("active");
+}
+
+function finishHintSearch() {
+  if (!hintWorker) return;
+  hintWorker.terminate();
+  hintWorker = null;
+  document.getElementById("hintBtn").classList.remove("active");
+}
+
+function showHint(result) {
+  switch (result.status) {
+    case "hint": {
+      const key = getScoreKey();
+      hintsUsed[key] = (hintsUsed[key] || 0) + 1;
+      document.getElementById("hintsUsed").textContent = hintsUsed[key];
+      if (playSession) {
+        playSession.usedHints = true;
+        recordHint(stats, key, getDateKey(new Date()));
+      }
+      saveGameData();
+      showHintMarker(result.cell);
+      pointCameraAt(result.cell);
+      showSuccessMessage(`Try (${result.cell.join(", ")})`);
+      break;
+    }
+    case "complete":
+      showSuccessMessage("Target reached. No hint needed!");
+      break;
+    case "conflict":
+      showErrorMessage("Clear the conflicts first. Click a red queen to see why.");
+      break;
+    case "unreachable":
+      showErrorMessage(
+        `The target is out of reach from here. Best possible: ${result.best}.`
+      );
+      break;
+    default:
+      showErrorMessage("No sure move found in time. Try removing a queen.");
+  }
+}
+
+function showHintMarker(cell) {
+  hintMarker = new THREE.Mesh(
+    new THREE.SphereGeometry(0.35, 16, 16),
+    new THREE.MeshBasicMaterial({
+      color: HINT_COLOR,
+      transparent: true,
+      depthWrite: false,
+    })
+  );
+  hintMarker.position.copy(getCellPosition(cell));
+  scene.add(hintMarker);
+}
+
+// Swings the camera round to look at the cell from its own side of the
+// board, clearing any slicing that would hide it.
+function pointCameraAt(cell) {
+  if (!isCellVisible(...cell)) changeLayer("reset");
+  const position = getCellPosition(cell);
+  if (position.lengthSq() === 0) return;
+  targetCameraAngleX = Math.asin(position.y / position.length());
+  // Take the shorter way round from wherever the camera has spun to.
+  const turn = Math.atan2(position.x, position.z) - cameraAngleY;
+  targetCameraAngleY =
+    cameraAngleY + Math.atan2(Math.sin(turn), Math.cos(turn));
+}
+
+// Draws a line from every piece attacking the queen on `cell` and says
+// along which direction. Returns false when there is nothing to explain,
+// so the click goes on to toggle the cell.
+function explainConflict(cell) {
+  const [x, y, z] = cell;
+  if (isSandboxMode || !board[z][y][x] || !attackTracker.isAttacked(x, y, z)) {
+    return false;
+  }
+  if (explainedQueen === String(cell)) return false;
+  clearHint();
+
+  const attacks = explainAttacks(ruleSet, dims, getQueenCoords(board), cell);
+  const points = [];
+  attacks.forEach(({ direction, path }) => {
+    for (let i = 1; i < path.length; i++) {
+      // Skip the jump where a torus line wraps round the board.
+      const prev = path[i - 1];
+      const wraps = path[i].some((v, axis) => v - prev[axis] !== direction[axis]);
+      if (!wraps) points.push(getCellPosition(prev), getCellPosition(path[i]));
+    }
+  });
+  attackLines = new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color: CONFLICT_COLOR, depthTest: false })
+  );
+  attackLines.renderOrder = 1;
+  scene.add(attackLines);
+  explainedQueen = String(cell);
+
+  const reasons = attacks.map(
+    ({ from, direction, isLeap }) =>
+      `(${from.join(", ")}) ${describeDirection(direction, isLeap)}`
+  );
+  showErrorMessage(
+    `Attacked from ${reasons.join("; ")}. Click it again to remove it.`
+  );
+  return true;
+}
+
+// Drops any running hint search, hint marker and attack lines, since they
+// describe a board that has just changed.
+function clearHint() {
+  finishHintSearch();
+  [hintMarker, attackLines].forEach((obj) => {
+    if (!obj) return;
+    scene.remove(obj);
+    obj.geometry.dispose();
+    obj.material.dispose();
+  });
+  hintMarker = null;
+  attackLines = null;
+  explainedQueen = null;
+}
+
+// --- RENDERING & DISPLAY ---
+// The board is drawn with two objects no matter how big it gets: every cell's
+// edges merged into one LineSegments with per-vertex colors, and every queen
+// as an instance of one InstancedMesh.
+const EDGE_VERTEX_COUNT = 24; // 12 box edges, 2 vertices each
+const QUEEN_COLOR = new THREE.Color(0xdaa520); // GoldenRod
+const LOCKED_QUEEN_COLOR = new THREE.Color(0x9b7fd4); // Lavender, set by a puzzle
+
+function createBoardGeometry() {
+  setHoveredCell(null);
+  [wireframeMesh, queenMesh, blockedMesh].forEach((obj) => {
+    if (!obj) return;
+    scene.remove(obj);
+    obj.geometry.dispose();
+    obj.material.dispose();
+  });
+  queenCells = [];
+  conflictingQueens = new Set();
+  clearHint();
+
+  const cellCount = dims[0] * dims[1] * dims[2];
+  const edgeGeometry = new THREE.EdgesGeometry(
+    new THREE.BoxGeometry(0.95, 0.95, 0.95)
+  );
+  const edgePositions = edgeGeometry.attributes.position.array;
+  const positions = new Float32Array(cellCount * EDGE_VERTEX_COUNT * 3);
+  const [offsetX, offsetY, offsetZ] = getCellOffsets();
+
+  for (let z = 0; z < dims[2]; z++)
+    for (let y = 0; y < dims[1]; y++)
+      for (let x = 0; x < dims[0]; x++) {
+        const base = cellIndex({ x, y, z }) * EDGE_VERTEX_COUNT * 3;
+        for (let i = 0; i < EDGE_VERTEX_COUNT * 3; i += 3) {
+          positions[base + i] = edgePositions[i] + x - offsetX;
+          positions[base + i + 1] = edgePositions[i + 1] + y - offsetY;
+          positions[base + i + 2] = edgePositions[i + 2] + z - offsetZ;
+        }
+      }
+
+  const wireframeGeometry = new THREE.BufferGeometry();
+  wireframeGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(positions, 3)
+  );
+  wireframeGeometry.setAttribute(
+    "color",
+    new THREE.BufferAttribute(new Float32Array(positions.length), 3)
+  );
+  // Additive blending over the black background stands in for per-cell
+  // opacity: each color is premultiplied by the opacity it should have.
+  wireframeMesh = new THREE.LineSegments(
+    wireframeGeometry,
+    new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    })
+  );
+  scene.add(wireframeMesh);
+  cellBaseColors = new Float32Array(cellCount * 3);
+
+  queenMesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(0.3, 16, 16),
+    new THREE.MeshLambertMaterial({ color: 0xffffff }),
+    cellCount
+  );
+  queenMesh.instanceColor = new THREE.InstancedBufferAttribute(
+    new Float32Array(cellCount * 3),
+    3
+  );
+  queenMesh.castShadow = true;
+  queenMesh.count = 0;
+  scene.add(queenMesh);
+
+  blockedMesh = new THREE.InstancedMesh(
+    new THREE.BoxGeometry(0.6, 0.6, 0.6),
+    new THREE.MeshLambertMaterial({
+      color: BLOCKED_COLOR,
+      transparent: true,
+      opacity: 0.45,
+    }),
+    cellCount
+  );
+  blockedMesh.count = 0;
+  scene.add(blockedMesh);
+
+  hiddenLayers = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
+  flatViewLayer = Math.min(flatViewLayer, getAxisSize(flatViewAxis) - 1);
+  updateLayerVisibility();
+  updateCameraPosition();
+}
+
+function updateBlockedInstances() {
+  if (!blockedMesh) return;
+  const [offsetX, offsetY, offsetZ] = getCellOffsets();
+  const matrix = new THREE.Matrix4();
+  let count = 0;
+  (puzzle ? puzzle.blocked : []).forEach(([x, y, z]) => {
+    if (!isCellVisible(x, y, z)) return;
+    matrix.makeTranslation(x - offsetX, y - offsetY, z - offsetZ);
+    blockedMesh.setMatrixAt(count, matrix);
+    count++;
+  });
+  blockedMesh.count = count;
+  blockedMesh.instanceMatrix.needsUpdate = true;
+}
+
+function updateQueenInstances() {
+  const [offsetX, offsetY, offsetZ] = getCellOffsets();
+  const matrix = new THREE.Matrix4();
+  const fadeScales = new Map(
+    fadingQueens.map(({ cell, isAdded, progress }) => [
+      String(cell),
+      isAdded ? progress : 1 - progress,
+    ])
+  );
+  let count = 0;
+  const addInstance = ([x, y, z], color) => {
+    if (!isCellVisible(x, y, z)) return;
+    const scale = fadeScales.get(`${x},${y},${z}`) ?? 1;
+    matrix
+      .makeScale(scale, scale, scale)
+      .setPosition(x - offsetX, y - offsetY, z - offsetZ);
+    queenMesh.setMatrixAt(count, matrix);
+    queenMesh.setColorAt(count, color);
+    count++;
+  };
+  queenCells.forEach(([x, y, z], i) =>
+    addInstance(
+      [x, y, z],
+      conflictingQueens.has(i)
+        ? CONFLICT_COLOR
+        : fixedCells.locked.has(`${x},${y},${z}`)
+        ? LOCKED_QUEEN_COLOR
+        : match
+        ? PLAYER_COLORS[match.owners[z][y][x]]
+        : QUEEN_COLOR
+    )
+  );
+  // Queens a replay just took away shrink on their empty cells.
+  fadingQueens
+    .filter(({ cell: [x, y, z], isAdded }) => !isAdded && !board[z][y][x])
+    .forEach(({ cell }) => addInstance(cell, QUEEN_COLOR));
+  queenMesh.count = count;
+  queenMesh.instanceMatrix.needsUpdate = true;
+  queenMesh.instanceColor.needsUpdate = true;
+}
+
+function updateDisplay() {
+  queenCells = getQueenCoords(board);
+  // The sandbox has no rules, so nothing is ever in conflict there.
+  conflictingQueens = new Set();
+  if (!isSandboxMode) {
+    queenCells.forEach(([x, y, z], i) => {
+      if (attackTracker.isAttacked(x, y, z)) conflictingQueens.add(i);
+    });
+  }
+  const conflictCount = conflictingQueens.size;
+  if (conflictCount > 0 && playSession) playSession.hadConflict = true;
+
+  const color = new THREE.Color();
+  for (let z = 0; z < dims[2]; z++)
+    for (let y = 0; y < dims[1]; y++)
+      for (let x = 0; x < dims[0]; x++) {
+        const distFromEdge = getDistanceFromEdge(x, y, z);
+        const edgeOpacity = Math.max(0.05, 0.8 - distFromEdge * 0.25);
+        let opacity = edgeOpacity;
+        color.set(getWireframeDefaultColor(x, y, z));
+
+        const state = getCellState(fixedCells, board, [x, y, z]);
+        if (state === CELL.BLOCKED) {
+          color.set(BLOCKED_COLOR);
+        } else if (isAssistMode && state === CELL.EMPTY) {
+          if (attackTracker.isAttacked(x, y, z)) {
+            color.set(INVALID_COLOR);
+          } else {
+            color.set(VALID_COLOR);
+            opacity = 0.6;
+          }
+        }
+
+        const index = cellIndex({ x, y, z }) * 3;
+        cellBaseColors[index] = color.r * opacity;
+        cellBaseColors[index + 1] = color.g * opacity;
+        cellBaseColors[index + 2] = color.b * opacity;
+        setWireframeHighlight({ x, y, z }, false);
+      }
+  if (hoveredCell) setWireframeHighlight(hoveredCell, true);
+
+  updateLayerVisibility();
+  
+  document.getElementById("queensCount").textContent = queenCells.length;
+  document.getElementById("freeCellsCount").textContent = attackTracker.freeCount;
+  
+  const conflictContainer = document.getElementById("conflict-indicators");
+  conflictContainer.innerHTML = "";
+  for (let i = 0; i < conflictCount; i++) {
+    const indicator = document.createElement("div");
+    indicator.classList.add("conflict-indicator");
+    indicator.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24" fill="currentColor"><path d="M12 2L2 22h20L12 2zm1 14h-2v-2h2v2zm0-4h-2V7h2v5z"/></svg>`;
+    conflictContainer.appendChild(indicator);
+  }
+
+  renderFlatView();
+  renderBoardReader();
+  if (lastChange) {
+    announce(describeChange(lastChange, conflictCount));
+    lastChange = null;
+  }
+
+  if (match) showVersusScore();
+  if (isSandboxMode || isEditorMode || match || replayViewer) return;
+
+  const queenCount = queenCells.length;
+  const scoreKey = getScoreKey();
+  // Once the solver has filled in the board, until a reset, nothing on it
+  // counts as the player's: no best, no unlock, no new solution.
+  const isSolverBoard = !!playSession && playSession.usedSolver;
+  if (
+    !isSolverBoard &&
+    isNewBest(queenCount, conflictCount, bestScores[scoreKey] || 0)
+  ) {
+    bestScores[scoreKey] = queenCount;
+    document.getElementById("personalBest").textContent = bestScores[scoreKey];
+    saveGameData();
+  }
+
+  const targetInfo = getTargetInfo();
+  const next = isSolverBoard
+    ? { status: "none", levelCompleted: false, message: null }
+    : getUnlockState(unlockStatus, {
+        queenCount,
+        conflictCount,
+        target: targetInfo.value,
+        targetStatus: targetInfo.status,
+      });
+  const isNewSolution =
+    next.levelCompleted && recordSolution(scoreKey, queenCount);
+  const challengeMessage =
+    next.levelCompleted && timerStartedAt !== null ? finishChallenge() : null;
+  if (next.levelCompleted && !levelCompleted) trackCompletion();
+  if (challengeMessage) {
+    showSuccessMessage(challengeMessage);
+    document.querySelector(".controls-top-right").classList.add("is-active");
+  } else if (next.message) {
+    showSuccessMessage(next.message);
+    document.querySelector(".controls-top-right").classList.add("is-active");
+  } else if (isNewSolution) {
+    const found = solutions[scoreKey].keys.length;
+    showSuccessMessage(`New distinct solution! ${found} found so far.`);
+  } else if (next.status === 'none' && unlockStatus !== 'none') {
+    document.querySelector(".controls-top-right").classList.remove("is-active");
+  }
+  document.getElementById("nextLevelBtn").disabled = !next.levelCompleted;
+  levelCompleted = next.levelCompleted;
+  unlockStatus = next.status;
+}
+
+// --- UTILITY & HELPER FUNCTIONS ---
+function cellIndex({ x, y, z }) {
+  return (z * dims[1] + y) * dims[0] + x;
+}
+
+// World position of cell (0, 0, 0) is minus these, which centers the board.
+function getCellOffsets() {
+  return dims.map((size) => (size - 1) / 2);
+}
+
+function getCellPosition([x, y, z]) {
+  const [offsetX, offsetY, offsetZ] = getCellOffsets();
+  return new THREE.Vector3(x - offsetX, y - offsetY, z - offsetZ);
+}
+
+function getDistanceFromEdge(x, y, z) {
+  return Math.min(
+    x, dims[0] - 1 - x,
+    y, dims[1] - 1 - y,
+    z, dims[2] - 1 - z
+  );
+}
+
+function getWireframeDefaultColor(x, y, z) {
+  const { colors } = getTheme(themeId);
+  return getDistanceFromEdge(x, y, z) === 0 ? colors.edge : colors.inner;
+}
+
+function setWireframeHighlight(cell, isHighlighted) {
+  const index = cellIndex(cell);
+  const colors = wireframeMesh.geometry.attributes.color;
+  const [r, g, b] = isHighlighted
+    ? [HOVER_COLOR.r, HOVER_COLOR.g, HOVER_COLOR.b]
+    : cellBaseColors.subarray(index * 3, index * 3 + 3);
+  const first = index * EDGE_VERTEX_COUNT;
+  for (let v = first; v < first + EDGE_VERTEX_COUNT; v++) {
+    colors.setXYZ(v, r, g, b);
+  }
+  colors.needsUpdate = true;
+}
+
+function showSuccessMessage(message) {
+  showNotification(message, false);
+}
+
+function showErrorMessage(message) {
+  showNotification(message, true);
+}
+
+function showNotification(message, isError) {
+  const bar = document.getElementById("notification-bar");
+  if (notificationTimer) {
+    clearTimeout(notificationTimer);
+  }
+  bar.textContent = message;
+  bar.classList.toggle("error", isError);
+  bar.classList.add("show");
+  notificationTimer = setTimeout(() => {
+    bar.classList.remove("show");
+    notificationTimer = null;
+  }, 3500);
+}
+
+function updateCameraPosition() {
+  const x = cameraDistance * Math.sin(cameraAngleY) * Math.cos(cameraAngleX);
+  const y = cameraDistance * Math.sin(cameraAngleX);
+  const z = cameraDistance * Math.cos(cameraAngleY) * Math.cos(cameraAngleX);
+  camera.position.set(x, y, z);
+  camera.lookAt(0, 0, 0);
+}
+
+function animate() {
+  requestAnimationFrame(animate);
+
+  const dampingFactor = 0.2;
+  cameraAngleX += (targetCameraAngleX - cameraAngleX) * dampingFactor;
+  cameraAngleY += (targetCameraAngleY - cameraAngleY) * dampingFactor;
+  updateCameraPosition();
+
+  if (particles) {
+    particles.rotation.y += 0.0002;
+  }
+
+  if (timerStartedAt !== null) {
+    showTimer(Date.now() - timerStartedAt);
+  }
+
+  if (replayViewer) advanceReplay();
+
+  if (hintMarker) {
+    const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 150);
+    hintMarker.scale.setScalar(0.7 + 0.5 * pulse);
+    hintMarker.material.opacity = 0.25 + 0.5 * pulse;
+  }
+
+  composer.render();
+}
+
+// --- SAVE DATA ---
 async function loadGameData() {
-  if (!userId || !db) return;
+  applySaveData(await gameStore.load());
+}
+
+async function saveGameData() {
+  await gameStore.save({
+    scores: bestScores,
+    hints: hintsUsed,
+    solutions: solutions,
+    times: bestTimes,
+    daily: dailyTimes,
+    autosaves: autosaves,
+    saveSlots: saveSlots,
+    constellations: constellations,
+    stats: stats,
+    theme: themeId,
+  });
+}
+
+function applySaveData(data) {
+  bestScores = data.scores;
+  hintsUsed = data.hints;
+  solutions = data.solutions;
+  bestTimes = data.times;
+  dailyTimes = data.daily;
+  autosaves = data.autosaves;
+  saveSlots = data.saveSlots;
+  constellations = data.constellations;
+  stats = data.stats;
+  applyTheme(data.theme);
+}
+
+// Brings the HUD up to date after a sync replaced the loaded data.
+function refreshSavedDataDisplay() {
+  document.getElementById("personalBest").textContent =
+    bestScores[getScoreKey()] || 0;
+  document.getElementById("hintsUsed").textContent =
+    hintsUsed[getScoreKey()] || 0;
+  showDistinctSolutions(getScoreKey());
+  showBestTime();
+  renderConstellationList();
+  renderSaveSlotList();
+}
+
+function createFirestoreBackend() {
   const appId =
     typeof __app_id !== "undefined" ? __app_id : "default-app-id";
   const docRef = doc(
@@ -869,38 +3519,80 @@ async function loadGameData() {
     `artifacts/${appId}/users/${userId}/n_queens_save`,
     "gameState"
   );
-  try {
-    const docSnap = await getDoc(docRef);
-    if (docSnap.exists()) {
-      const data = docSnap.data();
-      bestScores = data.scores || {};
-      lastSession = data.lastSession || { level: 1, board: null };
-    }
-  } catch (e) {
-    console.error("Error loading data:", e);
-  }
+  return {
+    async load() {
+      const docSnap = await getDoc(docRef);
+      return docSnap.exists() ? docSnap.data() : null;
+    },
+    async save(data) {
+      await setDoc(docRef, data);
+    },
+  };
 }
 
-async function saveGameData() {
-  if (!userId || !db) return;
+// Online rooms keep one document per message in the room's `messages`
+// collection, so a long session never outgrows a single document. Each
+// holds the message as JSON, since Firestore can't store nested arrays,
+// with its sender and the server's time to keep them in order.
+function createFirestoreTransport(room) {
+  if (!db) throw new Error("Firestore isn't connected");
   const appId =
     typeof __app_id !== "undefined" ? __app_id : "default-app-id";
-  const docRef = doc(
+  const messagesRef = collection(
     db,
-    `artifacts/${appId}/users/${userId}/n_queens_save`,
-    "gameState"
+    `artifacts/${appId}/public/data/rooms/${room}/messages`
   );
-  try {
-    await setDoc(docRef, { scores: bestScores, lastSession: lastSession });
-  } catch (e) {
-    console.error("Error saving data:", e);
-  }
+  let stopListening = () => {};
+  return {
+    send(message) {
+      addDoc(messagesRef, {
+        sender: peerId,
+        sentAt: serverTimestamp(),
+        message: JSON.stringify(message),
+      }).catch((error) => {
+        console.error("Couldn't reach the room:", error);
+        showErrorMessage("Lost the connection to the room");
+      });
+    },
+    listen(handler) {
+      // Whatever the room held before this peer arrived is history, but
+      // anything sent since joining counts, even if it lands in the first
+      // snapshot.
+      const joinedAt = Timestamp.now();
+      const ordered = query(
+        messagesRef,
+        where("sentAt", ">=", joinedAt),
+        orderBy("sentAt")
+      );
+      stopListening = onSnapshot(ordered, (snapshot) => {
+        snapshot
+          .docChanges()
+          .filter(({ type }) => type === "added")
+          .forEach(({ doc: entry }) => {
+            const { sender, message } = entry.data();
+            if (sender === peerId) return;
+            try {
+              handler(JSON.parse(message));
+            } catch (error) {
+              console.error("Dropped a broken room message:", error);
+            }
+          });
+      });
+    },
+    close() {
+      stopListening();
+    },
+  };
 }
 
 function saveCurrentState() {
-  lastSession = {
+  if (isSandboxMode || gameMode !== "free" || puzzle || netSession) return;
+  autosaves[getLevelKey(currentLevel)] = {
     level: currentLevel,
+    ruleSetId: ruleSet.id,
     board: JSON.stringify(board),
+    history: JSON.stringify(getHistoryState()),
+    savedAt: Date.now(),
   };
   saveGameData();
 }
@@ -932,6 +3624,11 @@ function createParticles() {
   scene.add(particles);
 }
 
+document.getElementById("startStatsBtn").addEventListener("click", () => {
+  loadGameData().then(openStatsScreen);
+});
+document.getElementById("closeStatsBtn").addEventListener("click", closeStatsScreen);
+
 document.getElementById("startGameBtn").addEventListener("click", () => {
   document.getElementById("startScreen").classList.add("hidden");
   document.querySelector(".ui-container").classList.add("active");
@@ -0,0 +1,127 @@
+import { CELL } from "./levels.js";
+
+// --- COLOR THEMES ---
+// Every color that carries meaning on the board, by role. The 3D view sets
+// its THREE.Colors from a theme and the HUD reads the same colors as CSS
+// variables, so switching themes changes both.
+//   valid        free cells in assist mode
+//   invalid      attacked cells in assist mode
+//   conflict     queens under attack and the HUD's conflict markers
+//   hover        the cell under the pointer or cursor, and hints
+//   blocked      a puzzle's blocked cells
+//   queen        queens, and player one's in a match
+//   lockedQueen  queens a puzzle placed
+//   playerTwo    player two's queens
+//   edge, inner  the wireframe of outer and inner cells
+export const THEMES = {
+  standard: {
+    id: "standard",
+    name: "Standard",
+    colors: {
+      valid: 0x2ecc71, // Green
+      invalid: 0xffffff,
+      conflict: 0xdc143c, // Crimson
+      hover: 0x00ffff, // Cyan
+      blocked: 0x8b3a3a, // Dull red
+      queen: 0xdaa520, // GoldenRod
+      lockedQueen: 0x9b7fd4, // Lavender
+      playerTwo: 0x4f8fe0, // Cornflower
+      edge: 0xf0f0f0,
+      inner: 0xaaaaaa,
+    },
+  },
+  // Okabe-Ito colors, which stay apart under the common kinds of color
+  // blindness: no red against green, and conflicts differ in lightness too.
+  colorblind: {
+    id: "colorblind",
+    name: "Colorblind Safe",
+    colors: {
+      valid: 0x009e73, // Bluish green
+      invalid: 0xffffff,
+      conflict: 0xd55e00, // Vermillion
+      hover: 0x56b4e9, // Sky blue
+      blocked: 0x7f7f7f,
+      queen: 0xf0e442, // Yellow
+      lockedQueen: 0xcc79a7, // Reddish purple
+      playerTwo: 0x0072b2, // Blue
+      edge: 0xf0f0f0,
+      inner: 0xaaaaaa,
+    },
+  },
+  highContrast: {
+    id: "highContrast",
+    name: "High Contrast",
+    colors: {
+      valid: 0x00ff00,
+      invalid: 0xffffff,
+      conflict: 0xff0000,
+      hover: 0xff00ff,
+      blocked: 0x808080,
+      queen: 0xffff00,
+      lockedQueen: 0x00ffff,
+      playerTwo: 0x3399ff,
+      edge: 0xffffff,
+      inner: 0xffffff,
+    },
+  },
+};
+
+export const DEFAULT_THEME_ID = "standard";
+
+export function getTheme(id) {
+  return Object.hasOwn(THEMES, id) ? THEMES[id] : THEMES[DEFAULT_THEME_ID];
+}
+
+// "#rrggbb" for a color as a number.
+export function toCssColor(color) {
+  return `#${color.toString(16).padStart(6, "0")}`;
+}
+
+// --- SCREEN READER TEXT ---
+export function formatCell([x, y, z]) {
+  return `(${x}, ${y}, ${z})`;
+}
+
+export function describeQueens(coords) {
+  if (coords.length === 0) return "No queens on the board";
+  const count = `${coords.length} queen${coords.length === 1 ? "" : "s"}`;
+  return `${count}: ${coords.map(formatCell).join(", ")}`;
+}
+
+// What to announce after a board change ({ added, removed } as in the undo
+// history), given how many queens are now under attack.
+export function describeChange({ added, removed }, conflictCount) {
+  const describe = (cells, verb, preposition) =>
+    cells.length === 1
+      ? `Queen ${verb} ${preposition} ${formatCell(cells[0])}`
+      : `${cells.length} queens ${verb}`;
+  const parts = [];
+  if (removed.length > 0) parts.push(describe(removed, "removed", "from"));
+  if (added.length > 0) parts.push(describe(added, "placed", "on"));
+  if (conflictCount > 0) {
+    parts.push(
+      `${conflictCount} queen${conflictCount === 1 ? " is" : "s are"} under attack`
+    );
+  } else {
+    parts.push("No conflicts");
+  }
+  return `${parts.join(". ")}.`;
+}
+
+// The label of one cell in the layer tables. `state` is a CELL value and
+// `owner` the name of whoever placed the queen in a match, if anyone.
+export function describeCell(cell, { state, isAttacked, owner = null }) {
+  const where = formatCell(cell);
+  switch (state) {
+    case CELL.BLOCKED:
+      return `${where}, blocked`;
+    case CELL.LOCKED:
+      return `${where}, puzzle queen${isAttacked ? ", under attack" : ""}`;
+    case CELL.QUEEN: {
+      const queen = owner ? `${owner}'s queen` : "queen";
+      return `${where}, ${queen}${isAttacked ? ", under attack" : ""}`;
+    }
+    default:
+      return `${where}, ${isAttacked ? "attacked" : "safe"}`;
+  }
+}
@@ -0,0 +1,123 @@
+import { RULE_SETS, getAttackedCells } from "./rule-sets.js";
+import { toDims } from "./rules.js";
+
+// Keeps, for every cell of an X×Y×Z board, how many pieces attack it under
+// the given rule set. `size` is an edge length or [X, Y, Z]. Adding or
+// removing a piece only touches the cells it attacks, so each update is
+// linear in the board's edge length for line pieces instead of re-testing
+// every pair of pieces.
+//
+// A piece is in conflict exactly when its own cell is attacked, since every
+// rule set is symmetric. Blocked cells never count as free but attacks still
+// pass through them.
+export function createAttackTracker(size, ruleSet = RULE_SETS.queen) {
+  const dims = toDims(size);
+  const [X, Y, Z] = dims;
+  const counts = new Int32Array(X * Y * Z);
+  const occupied = new Uint8Array(X * Y * Z);
+  const blocked = new Uint8Array(X * Y * Z);
+  const queens = new Set();
+  let freeCount = X * Y * Z;
+
+  const index = (x, y, z) => (z * Y + y) * X + x;
+
+  function mark(x, y, z, delta) {
+    for (const i of getAttackedCells(ruleSet, dims, x, y, z)) {
+      if (!occupied[i] && !blocked[i]) {
+        if (delta > 0 && counts[i] === 0) freeCount--;
+        if (delta < 0 && counts[i] === 1) freeCount++;
+      }
+      counts[i] += delta;
+    }
+  }
+
+  return {
+    dims,
+    ruleSet,
+
+    add(x, y, z) {
+      const i = index(x, y, z);
+      if (occupied[i]) return;
+      if (counts[i] === 0 && !blocked[i]) freeCount--;
+      occupied[i] = 1;
+      queens.add(i);
+      mark(x, y, z, 1);
+    },
+
+    remove(x, y, z) {
+      const i = index(x, y, z);
+      if (!occupied[i]) return;
+      occupied[i] = 0;
+      queens.delete(i);
+      if (counts[i] === 0 && !blocked[i]) freeCount++;
+      mark(x, y, z, -1);
+    },
+
+    // Marks a cell no piece may be placed on.
+    block(x, y, z) {
+      const i = index(x, y, z);
+      if (blocked[i]) return;
+      if (!occupied[i] && counts[i] === 0) freeCount--;
+      blocked[i] = 1;
+    },
+
+    unblock(x, y, z) {
+      const i = index(x, y, z);
+      if (!blocked[i]) return;
+      blocked[i] = 0;
+      if (!occupied[i] && counts[i] === 0) freeCount++;
+    },
+
+    isBlocked(x, y, z) {
+      return blocked[index(x, y, z)] === 1;
+    },
+
+    hasQueen(x, y, z) {
+      return occupied[index(x, y, z)] === 1;
+    },
+
+    // How many pieces attack this cell (a piece on it doesn't count).
+    attackCount(x, y, z) {
+      return counts[index(x, y, z)];
+    },
+
+    isAttacked(x, y, z) {
+      return counts[index(x, y, z)] > 0;
+    },
+
+    isFree(x, y, z) {
+      const i = index(x, y, z);
+      return !occupied[i] && !blocked[i] && counts[i] === 0;
+    },
+
+    get queenCount() {
+      return queens.size;
+    },
+
+    get freeCount() {
+      return freeCount;
+    },
+
+    // [x, y, z] of every piece attacked by another piece.
+    conflicts() {
+      const result = [];
+      for (const i of queens) {
+        if (counts[i] > 0) result.push(coordsOf(i));
+      }
+      return result;
+    },
+
+    // [x, y, z] of every empty, unblocked cell no piece attacks.
+    freeCells() {
+      const result = [];
+      for (let i = 0; i < counts.length; i++) {
+        if (!occupied[i] && !blocked[i] && counts[i] === 0) result.push(coordsOf(i));
+      }
+      return result;
+    },
+  };
+
+  function coordsOf(i) {
+    return [i % X, Math.floor(i / X) % Y, Math.floor(i / (X * Y))];
+  }
+}
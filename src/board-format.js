@@ -0,0 +1,79 @@
+// --- BOARD TEXT FORMAT ---
+// A board is written as its size followed by the queen coordinates:
+//
+//   [<rules>/]<size>:<x>,<y>,<z>;<x>,<y>,<z>;...
+//
+// e.g. "3:0,0,0;2,1,0;1,2,2" is a 3×3×3 board with three queens. Coordinates
+// are zero-based and index the board as board[z][y][x]. Whitespace and a
+// trailing ";" are ignored, and "4:" is an empty 4×4×4 board. A box that
+// isn't a cube gives each edge, as in "4x4x8:" for an empty 4×4×8 board.
+// Boards played under another rule set name it first, as in
+// "knight/3:0,0,0;1,1,1". The format only uses characters that survive a URL
+// hash, so "#board=<text>" shares a board.
+
+import {
+  createEmptyBoard,
+  formatDims,
+  getBoardDims,
+  getQueenCoords,
+  getSizeName,
+} from "./rules.js";
+import { DEFAULT_RULE_SET_ID, RULE_SETS } from "./rule-sets.js";
+
+export const MAX_BOARD_SIZE = 50;
+
+export function serializeBoard(board, ruleSetId = DEFAULT_RULE_SET_ID) {
+  const coords = getQueenCoords(board).map((cell) => cell.join(","));
+  const prefix = ruleSetId === DEFAULT_RULE_SET_ID ? "" : `${ruleSetId}/`;
+  return `${prefix}${getSizeName(getBoardDims(board))}:${coords.join(";")}`;
+}
+
+// Returns { ok: true, dims, board, ruleSetId } or { ok: false, errors }
+// listing every problem found, so a bad paste can be reported instead of
+// loaded.
+export function parseBoard(text) {
+  const compact = String(text).replace(/\s+/g, "");
+  const match = /^(?:(\w+)\/)?(\d+(?:x\d+x\d+)?):(.*)$/.exec(compact);
+  if (!match) {
+    return { ok: false, errors: ['Expected "<size>:<x>,<y>,<z>;..."'] };
+  }
+
+  const ruleSetId = match[1] || DEFAULT_RULE_SET_ID;
+  if (!Object.hasOwn(RULE_SETS, ruleSetId)) {
+    return { ok: false, errors: [`Unknown rule set "${ruleSetId}"`] };
+  }
+
+  const sizes = match[2].split("x").map(Number);
+  const dims = sizes.length === 1 ? [sizes[0], sizes[0], sizes[0]] : sizes;
+  if (dims.some((size) => size < 1 || size > MAX_BOARD_SIZE)) {
+    return {
+      ok: false,
+      errors: [
+        `Board edges must be between 1 and ${MAX_BOARD_SIZE}, got ${match[2]}`,
+      ],
+    };
+  }
+
+  const board = createEmptyBoard(...dims);
+  const errors = [];
+  match[3]
+    .split(";")
+    .filter((entry) => entry !== "")
+    .forEach((entry) => {
+      const parts = entry.split(",");
+      if (parts.length !== 3 || parts.some((p) => !/^\d+$/.test(p))) {
+        errors.push(`"${entry}" is not a valid x,y,z coordinate`);
+        return;
+      }
+      const [x, y, z] = parts.map(Number);
+      if (x >= dims[0] || y >= dims[1] || z >= dims[2]) {
+        errors.push(`${entry} is outside a ${formatDims(dims)} board`);
+        return;
+      }
+      board[z][y][x] = true;
+    });
+
+  return errors.length > 0
+    ? { ok: false, errors }
+    : { ok: true, dims, board, ruleSetId };
+}
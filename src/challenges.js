@@ -0,0 +1,87 @@
+import { parseBoard } from "./board-format.js";
+import { getQueenCoords } from "./rules.js";
+import { getSymmetries, transformBoard } from "./symmetry.js";
+import { TARGET_TABLE } from "./target-table.js";
+
+// --- TIMED CHALLENGES ---
+export function isBetterTime(time, best) {
+  return best === undefined || best === null || time < best;
+}
+
+// "1:05.3" for 65.3 seconds.
+export function formatDuration(ms) {
+  const tenths = Math.floor(ms / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor(tenths / 10) % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}.${tenths % 10}`;
+}
+
+// --- DAILY PUZZLE ---
+// Everyone who opens the game on the same calendar day gets the same
+// puzzle: the date is the only seed, so no server is involved. The puzzle
+// is cut from a known solution, which is what guarantees it can be solved.
+
+const DAILY_SIZES = [4, 5, 6];
+
+// The local calendar date as "YYYY-MM-DD".
+export function getDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// FNV-1a, enough to spread similar dates over unrelated seeds.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: returns a function giving numbers in [0, 1) from `seed`.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Picks a size, turns its certificate board from the target table by a
+// random symmetry and locks a third of its queens. Returns a level as from
+// parseLevel (src/levels.js) plus its `dateKey` and `solution`, a board
+// that holds every locked queen and reaches `target`.
+export function generateDailyPuzzle(dateKey) {
+  const random = createRandom(hashString(dateKey));
+  const size = DAILY_SIZES[Math.floor(random() * DAILY_SIZES.length)];
+  const { value: target, certificate } = TARGET_TABLE[size];
+
+  const symmetries = getSymmetries(size);
+  const symmetry = symmetries[Math.floor(random() * symmetries.length)];
+  const solution = transformBoard(parseBoard(certificate).board, symmetry);
+
+  const cells = getQueenCoords(solution);
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  const locked = cells.slice(0, Math.ceil(target / 3)).sort(
+    (a, b) => a[2] - b[2] || a[1] - b[1] || a[0] - b[0]
+  );
+  return {
+    id: `daily-${dateKey}`,
+    name: `Daily ${dateKey}`,
+    dims: [size, size, size],
+    ruleSetId: "queen",
+    target,
+    locked,
+    blocked: [],
+    dateKey,
+    solution,
+  };
+}
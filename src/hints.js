@@ -0,0 +1,51 @@
+import { getQueenCoords } from "./rules.js";
+import { RULE_SETS, getAttackPath } from "./rule-sets.js";
+import { solveBoard } from "./solver.js";
+
+// --- HINTS ---
+// A hint is a cell the solver used on its way to the target, so placing a
+// piece there keeps the target reachable. The search is capped at
+// `maxNodes`; when that runs out no hint is claimed. Cells in `blocked` are
+// never suggested. Returns one of:
+//   { status: "hint", cell: [x, y, z] }
+//   { status: "complete" }    (the target is already met)
+//   { status: "conflict" }    (pieces on the board attack each other)
+//   { status: "unreachable", best }
+//   { status: "unknown" }     (the search ran out of nodes)
+export function findHint(board, target, options = {}) {
+  const { ruleSet = RULE_SETS.queen, maxNodes = 200000, blocked = [] } = options;
+  const current = getQueenCoords(board);
+  const result = solveBoard(board, target, { ruleSet, maxNodes, blocked });
+
+  if (result.status === "conflict") return { status: "conflict" };
+  if (result.status === "unreachable") {
+    return { status: "unreachable", best: result.best };
+  }
+  if (result.status === "stopped") return { status: "unknown" };
+  if (current.length >= target) return { status: "complete" };
+
+  const placed = new Set(current.map(String));
+  const cell = getQueenCoords(result.board).find((c) => !placed.has(String(c)));
+  return { status: "hint", cell };
+}
+
+// Every piece in `coords` that attacks `cell`, with the cells its attack
+// passes through ({ from, direction, path } as from getAttackPath).
+export function explainAttacks(ruleSet, size, coords, cell) {
+  const attacks = [];
+  coords.forEach((from) => {
+    const attack = getAttackPath(ruleSet, size, from, cell);
+    if (attack) attacks.push({ from, ...attack });
+  });
+  return attacks;
+}
+
+// "along X", "along the XY face diagonal", "along a space diagonal" or "by
+// a leap", for showing next to an attack line.
+export function describeDirection([dx, dy, dz], isLeap = false) {
+  if (isLeap) return "by a leap";
+  const axes = ["X", "Y", "Z"].filter((_, i) => [dx, dy, dz][i] !== 0);
+  if (axes.length === 1) return `along ${axes[0]}`;
+  if (axes.length === 2) return `along the ${axes.join("")} face diagonal`;
+  return "along a space diagonal";
+}
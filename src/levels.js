@@ -0,0 +1,292 @@
+// --- LEVEL DEFINITIONS ---
+// A curated level fixes some cells before play starts. Designers write it
+// as JSON:
+//
+//   {
+//     "id": "corner-stone",
+//     "name": "Corner Stone",
+//     "size": 4,                // or [X, Y, Z]
+//     "rules": "rook",          // optional rule set id, queens by default
+//     "target": 6,
+//     "locked": [[0, 0, 0]],    // queens the player can't remove
+//     "blocked": [[1, 1, 1]]    // cells no queen may stand on
+//   }
+//
+// and a pack is { "name": "...", "levels": [<level>, ...] }. Coordinates
+// are zero-based [x, y, z] as in the board text format. Blocked cells still
+// let attacks through; they only refuse a queen.
+
+import { MAX_BOARD_SIZE } from "./board-format.js";
+import { createEmptyBoard, formatDims, isCube, toDims } from "./rules.js";
+import {
+  DEFAULT_RULE_SET_ID,
+  RULE_SETS,
+  getRuleSet,
+  isAttacking,
+} from "./rule-sets.js";
+import { countSolutions } from "./solver.js";
+
+// --- CELL STATES ---
+// The board itself only holds queens (locked ones included), so the solver,
+// formats and symmetry tools work on it unchanged. A cell's full state comes
+// from the board together with the level's fixed cells.
+export const CELL = {
+  EMPTY: "empty",
+  QUEEN: "queen",
+  LOCKED: "locked",
+  BLOCKED: "blocked",
+};
+
+// { locked, blocked } as Sets of "x,y,z" for a parsed level, or empty sets
+// for free play (level null).
+export function getFixedCells(level) {
+  return {
+    locked: new Set(level ? level.locked.map(String) : []),
+    blocked: new Set(level ? level.blocked.map(String) : []),
+  };
+}
+
+export function getCellState(fixed, board, [x, y, z]) {
+  const key = `${x},${y},${z}`;
+  if (fixed.blocked.has(key)) return CELL.BLOCKED;
+  if (fixed.locked.has(key)) return CELL.LOCKED;
+  return board[z][y][x] ? CELL.QUEEN : CELL.EMPTY;
+}
+
+// Whether the player may place or remove a queen on the cell.
+export function isEditable(fixed, cell) {
+  return !fixed.blocked.has(String(cell)) && !fixed.locked.has(String(cell));
+}
+
+// An empty board of the level's size with its locked queens in place.
+export function createLevelBoard(level) {
+  const board = createEmptyBoard(...level.dims);
+  level.locked.forEach(([x, y, z]) => (board[z][y][x] = true));
+  return board;
+}
+
+// --- PARSING ---
+function readJson(definition) {
+  if (typeof definition !== "string") return { data: definition };
+  try {
+    return { data: JSON.parse(definition) };
+  } catch (e) {
+    return { error: `Not valid JSON: ${e.message}` };
+  }
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Checks one list of cells, adding problems to `errors`.
+function readCells(list, label, dims, errors) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`"${label}" must be a list of [x, y, z] cells`);
+    return [];
+  }
+  const seen = new Set();
+  const cells = [];
+  list.forEach((cell) => {
+    const isCell =
+      Array.isArray(cell) &&
+      cell.length === 3 &&
+      cell.every((c) => Number.isInteger(c) && c >= 0);
+    if (!isCell) {
+      errors.push(`${JSON.stringify(cell)} in "${label}" is not an [x, y, z] cell`);
+    } else if (cell.some((c, i) => c >= dims[i])) {
+      errors.push(`${cell} in "${label}" is outside a ${formatDims(dims)} board`);
+    } else if (seen.has(String(cell))) {
+      errors.push(`${cell} is listed twice in "${label}"`);
+    } else {
+      seen.add(String(cell));
+      cells.push([...cell]);
+    }
+  });
+  return cells;
+}
+
+// Returns { ok: true, level } with level as
+//   { id, name, dims, ruleSetId, target, locked, blocked }
+// or { ok: false, errors } listing every problem, like parseBoard.
+// `definition` is a JSON string or an already parsed object.
+export function parseLevel(definition) {
+  const { data, error } = readJson(definition);
+  if (error) return { ok: false, errors: [error] };
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { ok: false, errors: ["A level must be a JSON object"] };
+  }
+
+  const errors = [];
+  if (typeof data.id !== "string" || data.id === "") {
+    errors.push('"id" must be a non-empty string');
+  }
+  const ruleSetId = data.rules === undefined ? DEFAULT_RULE_SET_ID : data.rules;
+  const isKnownRuleSet = Object.hasOwn(RULE_SETS, ruleSetId);
+  if (!isKnownRuleSet) errors.push(`Unknown rule set "${ruleSetId}"`);
+
+  const sizes = Array.isArray(data.size) ? data.size : [data.size];
+  if (
+    (sizes.length !== 1 && sizes.length !== 3) ||
+    !sizes.every((size) => isCount(size) && size <= MAX_BOARD_SIZE)
+  ) {
+    errors.push(
+      `"size" must be an edge or [X, Y, Z] between 1 and ${MAX_BOARD_SIZE}`
+    );
+    return { ok: false, errors };
+  }
+  const dims = toDims(sizes.length === 1 ? sizes[0] : sizes);
+
+  const locked = readCells(data.locked, "locked", dims, errors);
+  const blocked = readCells(data.blocked, "blocked", dims, errors);
+  const blockedKeys = new Set(blocked.map(String));
+  locked
+    .filter((cell) => blockedKeys.has(String(cell)))
+    .forEach((cell) => errors.push(`${cell} is both locked and blocked`));
+
+  if (isKnownRuleSet) {
+    locked.forEach((a, i) =>
+      locked.slice(i + 1).forEach((b) => {
+        if (isAttacking(RULE_SETS[ruleSetId], dims, ...a, ...b)) {
+          errors.push(`Locked queens ${a} and ${b} attack each other`);
+        }
+      })
+    );
+  }
+
+  const room = dims[0] * dims[1] * dims[2] - blocked.length;
+  if (!isCount(data.target)) {
+    errors.push('"target" must be a whole number above 0');
+  } else if (data.target > room) {
+    errors.push(`Target ${data.target} is more than the ${room} open cells`);
+  }
+
+  if (errors.length > 0) return { ok: false, errors };
+  return {
+    ok: true,
+    level: {
+      id: data.id,
+      name: typeof data.name === "string" && data.name ? data.name : data.id,
+      dims,
+      ruleSetId,
+      target: data.target,
+      locked,
+      blocked,
+    },
+  };
+}
+
+// Returns { ok: true, pack: { name, levels } } or { ok: false, errors },
+// each error naming the level it belongs to.
+export function parsePack(definition) {
+  const { data, error } = readJson(definition);
+  if (error) return { ok: false, errors: [error] };
+  if (!data || !Array.isArray(data.levels) || data.levels.length === 0) {
+    return { ok: false, errors: ['A pack needs a non-empty "levels" list'] };
+  }
+  const name = typeof data.name === "string" && data.name ? data.name : "Puzzle Pack";
+  return collectLevels(
+    name,
+    data.levels.map((entry, i) => ({ label: `Level ${i + 1}`, entry }))
+  );
+}
+
+// Builds one pack from several files, as when a folder of levels is
+// opened. `files` are { name, text }; each holds a level or a whole pack,
+// and they are played in file name order.
+export function parseLevelFiles(name, files) {
+  const entries = [];
+  const errors = [];
+  [...files]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((file) => {
+      const { data, error } = readJson(file.text);
+      if (error) {
+        errors.push(`${file.name}: ${error}`);
+      } else if (data && Array.isArray(data.levels)) {
+        data.levels.forEach((entry, i) =>
+          entries.push({ label: `${file.name} level ${i + 1}`, entry })
+        );
+      } else {
+        entries.push({ label: file.name, entry: data });
+      }
+    });
+  if (entries.length === 0 && errors.length === 0) {
+    errors.push("No levels found");
+  }
+  const result = collectLevels(name, entries);
+  return errors.length > 0
+    ? { ok: false, errors: [...errors, ...(result.errors || [])] }
+    : result;
+}
+
+function collectLevels(name, entries) {
+  const errors = [];
+  const levels = [];
+  const ids = new Set();
+  entries.forEach(({ label, entry }) => {
+    const result = parseLevel(entry);
+    if (!result.ok) {
+      result.errors.forEach((message) => errors.push(`${label}: ${message}`));
+      return;
+    }
+    if (ids.has(result.level.id)) {
+      errors.push(`${label}: id "${result.level.id}" is already used`);
+      return;
+    }
+    ids.add(result.level.id);
+    levels.push(result.level);
+  });
+
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, pack: { name, levels } };
+}
+
+// --- WRITING ---
+// The JSON a designer would write for a parsed level, so that
+// parseLevel(serializeLevel(level)) gives the level back.
+export function toLevelDefinition(level) {
+  const definition = {
+    id: level.id,
+    name: level.name,
+    size: isCube(level.dims) ? level.dims[0] : [...level.dims],
+  };
+  if (level.ruleSetId !== DEFAULT_RULE_SET_ID) definition.rules = level.ruleSetId;
+  definition.target = level.target;
+  if (level.locked.length > 0) definition.locked = level.locked;
+  if (level.blocked.length > 0) definition.blocked = level.blocked;
+  return definition;
+}
+
+export function serializeLevel(level) {
+  return JSON.stringify(toLevelDefinition(level), null, 2);
+}
+
+export function serializePack(pack) {
+  return JSON.stringify(
+    { name: pack.name, levels: pack.levels.map(toLevelDefinition) },
+    null,
+    2
+  );
+}
+
+// --- CHECKS ---
+// Whether the level can be finished from its locked queens, and whether it
+// has exactly one way to be. Each answer is true, false or null when
+// `maxNodes` of search couldn't settle it. `solution` is a finished board
+// when one was found.
+export function checkLevel(level, { maxNodes = 1e6 } = {}) {
+  const result = countSolutions(createLevelBoard(level), level.target, {
+    ruleSet: getRuleSet(level.ruleSetId),
+    blocked: level.blocked,
+    limit: 2,
+    maxNodes,
+  });
+  const isSettled = result.status !== "stopped";
+  return {
+    solvable: result.count > 0 ? true : isSettled ? false : null,
+    unique: result.count > 1 ? false : isSettled ? result.count === 1 : null,
+    solution: result.board || null,
+  };
+}
@@ -0,0 +1,304 @@
+import { MAX_BOARD_SIZE } from "./board-format.js";
+import { RULE_SETS, getRuleSet } from "./rule-sets.js";
+import { createEmptyBoard } from "./rules.js";
+import { createMatch } from "./versus.js";
+
+// --- NETWORKED PLAY ---
+// Several browsers share one board. One peer hosts and its copy is the
+// truth: everyone else sends it proposals, and the host numbers the ones it
+// accepts and passes them on, so every peer applies the same ops in the same
+// order. When two proposals clash, say both place a queen on one cell, the
+// one that reaches the host first wins and the other goes back to its
+// sender as rejected.
+//
+// A game is { dims, ruleSetId, mode: "coop" | "versus", queens: [[x, y, z]...] }
+// and an op is { kind: "place" | "remove", cell: [x, y, z] }. Messages:
+//   { type: "host", from }                 a host opened the room
+//   { type: "hello", from }                a guest asks the host for the game
+//   { type: "state", to, game, seats, history }
+//   { type: "propose", from, op }
+//   { type: "op", index, from, op }        accepted as the index-th op
+//   { type: "reject", to, op, reason }
+// history lists { from, op } for every op so far, and seats the peer ids
+// playing each side of a versus game.
+//
+// A transport is { send(message), listen(handler), close() }. It hands each
+// message to every other peer, never back to its sender, and may be slow.
+
+// --- CHECKING MESSAGES ---
+// Peers can send anything, so whatever a message carries is checked before
+// it touches the board.
+function isCellIn(cell, dims) {
+  return (
+    Array.isArray(cell) &&
+    cell.length === 3 &&
+    cell.every((c, i) => Number.isInteger(c) && c >= 0 && c < dims[i])
+  );
+}
+
+// True when `op` is a move on a board of size `dims`.
+function isMoveOn(op, dims) {
+  return (
+    !!op &&
+    (op.kind === "place" || op.kind === "remove") &&
+    isCellIn(op.cell, dims)
+  );
+}
+
+function isGame(game) {
+  if (!game || typeof game !== "object") return false;
+  const { dims } = game;
+  const isSize =
+    Array.isArray(dims) &&
+    dims.length === 3 &&
+    dims.every((size) => Number.isInteger(size) && size >= 1 && size <= MAX_BOARD_SIZE);
+  return (
+    isSize &&
+    Object.hasOwn(RULE_SETS, game.ruleSetId) &&
+    (game.mode === "coop" || game.mode === "versus") &&
+    Array.isArray(game.queens) &&
+    game.queens.every((cell) => isCellIn(cell, dims))
+  );
+}
+
+// True when a "state" message holds a game, its seats and its history.
+function isState({ game, seats, history }) {
+  return (
+    isGame(game) &&
+    Array.isArray(seats) &&
+    seats.length <= 2 &&
+    seats.every((seat) => typeof seat === "string") &&
+    Array.isArray(history) &&
+    history.every(
+      (entry) =>
+        !!entry && typeof entry.from === "string" && isMoveOn(entry.op, game.dims)
+    )
+  );
+}
+
+// --- SESSIONS ---
+// Returns a session that hosts `game` when one is given and joins the
+// room's host otherwise. `onStart(game)` runs once a guest has the game,
+// `onOp(op, from)` after each op is applied and `onReject(op, reason)` when
+// the host turns one of this peer's proposals down.
+export function createNetSession(transport, options) {
+  const {
+    peerId,
+    game = null,
+    onStart = () => {},
+    onOp = () => {},
+    onReject = () => {},
+  } = options;
+  const isHost = game !== null;
+  let current = null; // { game, board, match } once the game is known
+  const seats = [];
+  const history = [];
+  const early = new Map(); // index -> op message that overtook an earlier one
+
+  function start(setup, seatList, ops) {
+    const board = createEmptyBoard(...setup.dims);
+    setup.queens.forEach(([x, y, z]) => (board[z][y][x] = true));
+    const match =
+      setup.mode === "versus"
+        ? createMatch(setup.dims, getRuleSet(setup.ruleSetId))
+        : null;
+    current = { game: setup, board, match };
+    seats.push(...seatList);
+    ops.forEach(({ from, op }) => apply(op, from));
+  }
+
+  function apply(op, from) {
+    const [x, y, z] = op.cell;
+    current.board[z][y][x] = op.kind === "place";
+    if (current.match) current.match.play(op.cell);
+    history.push({ from, op });
+  }
+
+  function isMove(op) {
+    return isMoveOn(op, current.game.dims);
+  }
+
+  // Why the host turns `op` down, or null when it may go ahead.
+  function check(op, from) {
+    if (!isMove(op)) return "Not a move";
+    const [x, y, z] = op.cell;
+    const hasQueen = current.board[z][y][x];
+    if (op.kind === "place" && hasQueen) return "Someone got to that cell first";
+    if (op.kind === "remove" && !hasQueen) return "That queen is already gone";
+
+    const { match } = current;
+    if (!match) return null;
+    if (op.kind === "remove") return "No take-backs in a match";
+    if (match.winner !== null) return "The match is over";
+    if (seats[match.turn] !== from) return "It's not your turn";
+    if (!match.isSafe(x, y, z)) return "That cell is under attack";
+    return null;
+  }
+
+  function accept(op, from) {
+    const reason = check(op, from);
+    if (reason) {
+      if (from === peerId) {
+        onReject(op, reason);
+      } else {
+        transport.send({ type: "reject", to: from, op, reason });
+      }
+      return;
+    }
+    apply(op, from);
+    transport.send({ type: "op", index: history.length - 1, from, op });
+    onOp(op, from);
+  }
+
+  // Guests apply ops strictly by index, holding back any that arrive ahead
+  // of an earlier one or before the game itself.
+  function receiveOp(message) {
+    if (!Number.isInteger(message.index)) return;
+    early.set(message.index, message);
+    if (current) applyWaitingOps();
+  }
+
+  function applyWaitingOps() {
+    while (early.has(history.length)) {
+      const { op, from } = early.get(history.length);
+      early.delete(history.length);
+      if (!isMove(op)) break; // Garbage; wait for the real op at this index
+      apply(op, from);
+      onOp(op, from);
+    }
+  }
+
+  function welcome(guest) {
+    const isSeated = seats.includes(guest);
+    if (current.match && !isSeated && seats.length < 2) seats.push(guest);
+    transport.send({
+      type: "state",
+      to: guest,
+      game: current.game,
+      seats,
+      history,
+    });
+  }
+
+  transport.listen((message) => {
+    // Peers can send anything; what isn't a message is dropped.
+    if (!message || typeof message !== "object") return;
+    if (message.to && message.to !== peerId) return;
+    switch (message.type) {
+      case "host":
+        if (!isHost && !current) transport.send({ type: "hello", from: peerId });
+        break;
+      case "hello":
+        if (isHost && typeof message.from === "string") welcome(message.from);
+        break;
+      case "state":
+        if (isHost || current || !isState(message)) break;
+        start(message.game, message.seats, message.history);
+        [...early.keys()]
+          .filter((index) => index < history.length)
+          .forEach((index) => early.delete(index));
+        onStart(current.game);
+        applyWaitingOps();
+        break;
+      case "propose":
+        if (isHost && typeof message.from === "string") accept(message.op, message.from);
+        break;
+      case "op":
+        if (!isHost && message.index >= history.length) receiveOp(message);
+        break;
+      case "reject":
+        onReject(message.op, message.reason);
+        break;
+    }
+  });
+
+  if (isHost) {
+    start(game, game.mode === "versus" ? [peerId] : [], []);
+    transport.send({ type: "host", from: peerId });
+  } else {
+    transport.send({ type: "hello", from: peerId });
+  }
+
+  return {
+    isHost,
+
+    // The shared game, board and versus match, or null until a guest has
+    // heard from the host. The board and match change as ops arrive.
+    get game() {
+      return current && current.game;
+    },
+
+    get board() {
+      return current && current.board;
+    },
+
+    get match() {
+      return current && current.match;
+    },
+
+    // This peer's side in a versus game, or -1 for co-op and onlookers.
+    get seat() {
+      return seats.indexOf(peerId);
+    },
+
+    propose(op) {
+      if (!current) return;
+      if (isHost) {
+        accept(op, peerId);
+      } else {
+        transport.send({ type: "propose", from: peerId, op });
+      }
+    },
+
+    close() {
+      transport.close();
+    },
+  };
+}
+
+// --- TRANSPORTS ---
+// Tabs of one browser, through a BroadcastChannel named after the room.
+export function createBroadcastTransport(room, Channel = globalThis.BroadcastChannel) {
+  const channel = new Channel(`n-queens-3d:${room}`);
+  return {
+    send(message) {
+      channel.postMessage(message);
+    },
+    listen(handler) {
+      channel.onmessage = (event) => handler(event.data);
+    },
+    close() {
+      channel.close();
+    },
+  };
+}
+
+// An in-memory stand-in for a server, so sessions can be tried without a
+// network: each transport from connect() hears what the others send, a
+// moment later and as a copy, like over a real connection.
+export function createLocalHub() {
+  const peers = new Set();
+  return {
+    connect() {
+      const peer = { handler: null };
+      peers.add(peer);
+      return {
+        send(message) {
+          peers.forEach((other) => {
+            if (other === peer) return;
+            const copy = structuredClone(message);
+            queueMicrotask(() => {
+              if (peers.has(other) && other.handler) other.handler(copy);
+            });
+          });
+        },
+        listen(handler) {
+          peer.handler = handler;
+        },
+        close() {
+          peers.delete(peer);
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,200 @@
+import { MAX_BOARD_SIZE } from "./board-format.js";
+import { parseLevel, toLevelDefinition } from "./levels.js";
+import { RULE_SETS } from "./rule-sets.js";
+import { createEmptyBoard, getQueenCoords } from "./rules.js";
+
+// --- REPLAYS ---
+// A replay is the board a session started from plus every change made to
+// it, each stamped with its time and where the camera was:
+//
+//   {
+//     "version": 1,
+//     "dims": [8, 8, 8],
+//     "ruleSetId": "queen",
+//     "puzzle": null,              // the level definition when playing one
+//     "recordedAt": 1760000000000,
+//     "queens": [[0, 0, 0]],       // the starting board
+//     "camera": <camera>,          // where the camera started
+//     "events": [
+//       { "t": 1520, "added": [[1, 2, 0]], "removed": [], "camera": <camera> }
+//     ]
+//   }
+//
+// t counts milliseconds from the start. A camera is { angleX, angleY,
+// distance, hiddenLayers } with hiddenLayers as in script.js.
+
+export const REPLAY_VERSION = 1;
+
+const LAYER_KEYS = ["minX", "maxX", "minY", "maxY", "minZ", "maxZ"];
+
+function copyCamera({ angleX, angleY, distance, hiddenLayers }) {
+  return { angleX, angleY, distance, hiddenLayers: { ...hiddenLayers } };
+}
+
+export function createReplay({ dims, ruleSetId, puzzle = null, board, camera, recordedAt }) {
+  return {
+    version: REPLAY_VERSION,
+    dims: [...dims],
+    ruleSetId,
+    puzzle: puzzle ? toLevelDefinition(puzzle) : null,
+    recordedAt,
+    queens: getQueenCoords(board),
+    camera: copyCamera(camera),
+    events: [],
+  };
+}
+
+// `change` is { added, removed } as kept in the undo history.
+export function recordChange(replay, t, { added, removed }, camera) {
+  replay.events.push({
+    t,
+    added: added.map((cell) => [...cell]),
+    removed: removed.map((cell) => [...cell]),
+    camera: copyCamera(camera),
+  });
+}
+
+export function getReplayDuration(replay) {
+  const { events } = replay;
+  return events.length > 0 ? events[events.length - 1].t : 0;
+}
+
+// --- PLAYBACK ---
+// How long a queen takes to grow in or shrink away, in ms.
+export const FADE_TIME = 300;
+
+// What the replay shows `time` ms in: { board, camera, eventCount, fading }.
+// eventCount is how many events have happened, the camera glides from each
+// event's view to the next, and fading lists { cell, isAdded, progress } for
+// the queens that changed less than FADE_TIME ago, progress running from 0
+// to 1.
+export function getReplayFrame(replay, time) {
+  const board = createEmptyBoard(...replay.dims);
+  replay.queens.forEach(([x, y, z]) => (board[z][y][x] = true));
+  const fading = [];
+  let eventCount = 0;
+  for (const event of replay.events) {
+    if (event.t > time) break;
+    event.removed.forEach(([x, y, z]) => (board[z][y][x] = false));
+    event.added.forEach(([x, y, z]) => (board[z][y][x] = true));
+    eventCount++;
+    const progress = (time - event.t) / FADE_TIME;
+    if (progress < 1) {
+      event.removed.forEach((cell) => fading.push({ cell, isAdded: false, progress }));
+      event.added.forEach((cell) => fading.push({ cell, isAdded: true, progress }));
+    }
+  }
+  return { board, camera: getCameraAt(replay, time, eventCount), eventCount, fading };
+}
+
+// Angles and distance move smoothly; hidden layers switch at each event.
+function getCameraAt(replay, time, eventCount) {
+  const from =
+    eventCount === 0
+      ? { t: 0, camera: replay.camera }
+      : replay.events[eventCount - 1];
+  const to = replay.events[eventCount];
+  if (!to) return copyCamera(from.camera);
+  const share = Math.min(1, Math.max(0, (time - from.t) / (to.t - from.t)));
+  const mix = (key) => from.camera[key] + (to.camera[key] - from.camera[key]) * share;
+  return {
+    angleX: mix("angleX"),
+    angleY: mix("angleY"),
+    distance: mix("distance"),
+    hiddenLayers: { ...from.camera.hiddenLayers },
+  };
+}
+
+// --- FILES ---
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+function isCamera(camera) {
+  return (
+    !!camera &&
+    ["angleX", "angleY", "distance"].every((key) => Number.isFinite(camera[key])) &&
+    !!camera.hiddenLayers &&
+    LAYER_KEYS.every((key) => Number.isInteger(camera.hiddenLayers[key]))
+  );
+}
+
+function areCells(list, dims) {
+  return (
+    Array.isArray(list) &&
+    list.every(
+      (cell) =>
+        Array.isArray(cell) &&
+        cell.length === 3 &&
+        cell.every((c, i) => Number.isInteger(c) && c >= 0 && c < dims[i])
+    )
+  );
+}
+
+// Returns { ok: true, replay } or { ok: false, errors } like parseLevel.
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, errors: [`Not valid JSON: ${e.message}`] };
+  }
+  if (!data || data.version !== REPLAY_VERSION) {
+    return { ok: false, errors: [`Not a version ${REPLAY_VERSION} replay`] };
+  }
+
+  const errors = [];
+  const { dims } = data;
+  const isSize =
+    Array.isArray(dims) &&
+    dims.length === 3 &&
+    dims.every((size) => Number.isInteger(size) && size > 0 && size <= MAX_BOARD_SIZE);
+  if (!isSize) {
+    return {
+      ok: false,
+      errors: [`"dims" must be [X, Y, Z] between 1 and ${MAX_BOARD_SIZE}`],
+    };
+  }
+  if (!Object.hasOwn(RULE_SETS, data.ruleSetId)) {
+    errors.push(`Unknown rule set "${data.ruleSetId}"`);
+  }
+  if (data.puzzle !== null) {
+    const result = parseLevel(data.puzzle);
+    if (!result.ok) {
+      result.errors.forEach((message) => errors.push(`Puzzle: ${message}`));
+    } else {
+      // The viewer opens the puzzle's level, so it has to be the board
+      // that was recorded.
+      const { level } = result;
+      if (level.dims.some((size, i) => size !== dims[i])) {
+        errors.push('Puzzle: the size differs from "dims"');
+      }
+      if (level.ruleSetId !== data.ruleSetId) {
+        errors.push('Puzzle: the rule set differs from "ruleSetId"');
+      }
+    }
+  }
+  if (!areCells(data.queens, dims)) errors.push('"queens" must be cells on the board');
+  if (!isCamera(data.camera)) errors.push('"camera" is not a camera');
+
+  if (!Array.isArray(data.events)) {
+    errors.push('"events" must be a list');
+  } else {
+    let last = 0;
+    data.events.forEach((event, i) => {
+      const label = `Event ${i + 1}`;
+      if (!event || !Number.isFinite(event.t) || event.t < last) {
+        errors.push(`${label}: times must count up from 0`);
+      } else {
+        last = event.t;
+      }
+      if (!event || !areCells(event.added, dims) || !areCells(event.removed, dims)) {
+        errors.push(`${label}: "added" and "removed" must be cells on the board`);
+      }
+      if (!event || !isCamera(event.camera)) errors.push(`${label}: not a camera`);
+    });
+  }
+
+  if (errors.length > 0) return { ok: false, errors };
+  return { ok: true, replay: data };
+}
@@ -0,0 +1,247 @@
+import { getLevelTargetInfo, isCube, isQueenAttacking, toDims } from "./rules.js";
+
+// --- RULE SETS ---
+// A rule set describes how a piece attacks:
+//   lines: the directions it attacks along, as unit steps (see linesOf)
+//   leaps: fixed offsets it jumps to, like a knight
+//   wrap:  whether the board is a torus, so lines and leaps wrap around
+//   target: optional (dims) => { value, upper, status } for the number of
+//           pieces a level asks for (statuses as in getLevelTargetInfo), when
+//           it is known; otherwise a greedy placement sets a lower bound
+// Every rule set is symmetric (if A attacks B then B attacks A), which is
+// what lets a piece's own cell count tell whether it is in conflict.
+
+// One unit step per line through a cell: 3 axes, 6 face diagonals and 4
+// space diagonals. The classic queen attacks along all of them.
+export const LINE_DIRECTIONS = [];
+for (let dz = -1; dz <= 1; dz++)
+  for (let dy = -1; dy <= 1; dy++)
+    for (let dx = -1; dx <= 1; dx++) {
+      const isCanonical = dz > 0 || (dz === 0 && (dy > 0 || (dy === 0 && dx > 0)));
+      if (isCanonical && isQueenAttacking(0, 0, 0, dx, dy, dz)) {
+        LINE_DIRECTIONS.push([dx, dy, dz]);
+      }
+    }
+
+function countNonZero([dx, dy, dz]) {
+  return (dx !== 0) + (dy !== 0) + (dz !== 0);
+}
+
+// Picks lines by how many coordinates change per step: 1 for the axes, 2 for
+// face diagonals, 3 for space diagonals.
+function linesOf(...kinds) {
+  return LINE_DIRECTIONS.filter((dir) => kinds.includes(countNonZero(dir)));
+}
+
+const KNIGHT_LEAPS = [];
+for (const [a, b] of [[1, 2], [2, 1]])
+  for (const [sa, sb] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+    KNIGHT_LEAPS.push([a * sa, b * sb, 0], [a * sa, 0, b * sb], [0, a * sa, b * sb]);
+  }
+
+export const RULE_SETS = {
+  queen: {
+    id: "queen",
+    name: "Queens",
+    lines: linesOf(1, 2, 3),
+    leaps: [],
+    wrap: false,
+    target: (dims) => (isCube(dims) ? getLevelTargetInfo(dims[0]) : undefined),
+  },
+  planarQueen: {
+    id: "planarQueen",
+    name: "Queens (no space diagonals)",
+    lines: linesOf(1, 2),
+    leaps: [],
+    wrap: false,
+  },
+  rook: {
+    id: "rook",
+    name: "Rooks",
+    lines: linesOf(1),
+    leaps: [],
+    wrap: false,
+    // One per line along the longest axis, placed like a Latin rectangle.
+    target: (dims) => {
+      const [a, b] = [...dims].sort((p, q) => p - q);
+      return { value: a * b, upper: a * b, status: "proven" };
+    },
+  },
+  bishop: {
+    id: "bishop",
+    name: "Bishops",
+    lines: linesOf(2, 3),
+    leaps: [],
+    wrap: false,
+  },
+  knight: {
+    id: "knight",
+    name: "Knights",
+    lines: [],
+    leaps: KNIGHT_LEAPS,
+    wrap: false,
+    // A leap changes x + y + z by an odd amount, so one parity class of
+    // cells never attacks itself. Thin boards where few leaps fit can hold
+    // more, which the greedy count picks up.
+    target: (dims) => {
+      const volume = dims[0] * dims[1] * dims[2];
+      const value = Math.max(
+        Math.ceil(volume / 2),
+        getGreedyCount(RULE_SETS.knight, dims)
+      );
+      return {
+        value,
+        upper: volume,
+        status: value === volume ? "proven" : "lowerBound",
+      };
+    },
+  },
+  torusQueen: {
+    id: "torusQueen",
+    name: "Queens (toroidal)",
+    lines: linesOf(1, 2, 3),
+    leaps: [],
+    wrap: true,
+  },
+};
+
+export const DEFAULT_RULE_SET_ID = "queen";
+
+export function getRuleSet(id) {
+  return Object.hasOwn(RULE_SETS, id)
+    ? RULE_SETS[id]
+    : RULE_SETS[DEFAULT_RULE_SET_ID];
+}
+
+// True when no piece attacks along an axis, so a row may hold several pieces.
+export function allowsSharedRows(ruleSet) {
+  return !ruleSet.lines.some((dir) => countNonZero(dir) === 1);
+}
+
+// Indices ((z * Y + y) * X + x) of every cell a piece on (x, y, z) attacks,
+// each listed once. `size` is an edge length or [X, Y, Z].
+export function getAttackedCells(ruleSet, size, x, y, z) {
+  const [X, Y, Z] = toDims(size);
+  const cells = new Set();
+  const self = (z * Y + y) * X + x;
+  // Returns the cell's index, or -1 once a line runs off the board.
+  const visit = (cx, cy, cz) => {
+    if (ruleSet.wrap) {
+      cx = ((cx % X) + X) % X;
+      cy = ((cy % Y) + Y) % Y;
+      cz = ((cz % Z) + Z) % Z;
+    } else if (cx < 0 || cx >= X || cy < 0 || cy >= Y || cz < 0 || cz >= Z) {
+      return -1;
+    }
+    const i = (cz * Y + cy) * X + cx;
+    if (i !== self) cells.add(i);
+    return i;
+  };
+
+  for (const [dx, dy, dz] of ruleSet.lines) {
+    // On a torus one direction already goes all the way round the line, and
+    // it ends when it comes back to the piece.
+    const signs = ruleSet.wrap ? [1] : [1, -1];
+    for (const sign of signs) {
+      for (let k = 1; ; k++) {
+        const i = visit(x + dx * sign * k, y + dy * sign * k, z + dz * sign * k);
+        if (i === -1 || i === self) break;
+      }
+    }
+  }
+  for (const [dx, dy, dz] of ruleSet.leaps) {
+    visit(x + dx, y + dy, z + dz);
+  }
+  return [...cells];
+}
+
+export function isAttacking(ruleSet, size, x1, y1, z1, x2, y2, z2) {
+  const [X, Y] = toDims(size);
+  return getAttackedCells(ruleSet, size, x1, y1, z1).includes((z2 * Y + y2) * X + x2);
+}
+
+// How a piece on `from` attacks `to`: { direction, isLeap, path } where
+// direction is the step it moves by and path lists every cell from `from`
+// to `to`, both included. On a torus the shorter way round wins. Returns
+// null when `from` doesn't attack `to`.
+export function getAttackPath(ruleSet, size, from, to) {
+  const dims = toDims(size);
+  const same = (a, b) => a.every((v, i) => v === b[i]);
+  const move = (cell, step) =>
+    cell.map((v, i) => {
+      const next = v + step[i];
+      return ruleSet.wrap ? ((next % dims[i]) + dims[i]) % dims[i] : next;
+    });
+  const inside = (cell) => cell.every((v, i) => v >= 0 && v < dims[i]);
+  if (same(from, to)) return null;
+
+  let best = null;
+  for (const line of ruleSet.lines) {
+    for (const sign of [1, -1]) {
+      const direction = line.map((d) => d * sign || 0); // No -0 steps
+      const path = [from];
+      for (let cell = move(from, direction); inside(cell); cell = move(cell, direction)) {
+        if (same(cell, from)) break;
+        path.push(cell);
+        if (same(cell, to)) {
+          if (!best || path.length < best.path.length) {
+            best = { direction, isLeap: false, path };
+          }
+          break;
+        }
+      }
+    }
+  }
+  if (best) return best;
+
+  for (const leap of ruleSet.leaps) {
+    const cell = move(from, leap);
+    if (inside(cell) && same(cell, to)) {
+      return { direction: leap, isLeap: true, path: [from, cell] };
+    }
+  }
+  return null;
+}
+
+// Places pieces greedily in cell order. The count is always reachable, so it
+// serves as the target for rule sets without a better known value.
+export function getGreedyCount(ruleSet, size) {
+  const [X, Y, Z] = toDims(size);
+  const attacked = new Uint8Array(X * Y * Z);
+  let count = 0;
+  for (let i = 0; i < attacked.length; i++) {
+    if (attacked[i]) continue;
+    count++;
+    attacked[i] = 1;
+    const x = i % X;
+    const y = Math.floor(i / X) % Y;
+    const z = Math.floor(i / (X * Y));
+    getAttackedCells(ruleSet, [X, Y, Z], x, y, z).forEach(
+      (cell) => (attacked[cell] = 1)
+    );
+  }
+  return count;
+}
+
+const targets = new Map();
+
+export function getRuleSetTargetInfo(ruleSet, size) {
+  const dims = toDims(size);
+  const key = `${ruleSet.id}:${dims.join("x")}`;
+  if (!targets.has(key)) {
+    const known = ruleSet.target ? ruleSet.target(dims) : undefined;
+    targets.set(
+      key,
+      known ?? {
+        value: getGreedyCount(ruleSet, dims),
+        upper: null,
+        status: "lowerBound",
+      }
+    );
+  }
+  return targets.get(key);
+}
+
+export function getRuleSetTarget(ruleSet, size) {
+  return getRuleSetTargetInfo(ruleSet, size).value;
+}
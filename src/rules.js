@@ -0,0 +1,136 @@
+// --- RULES ---
+// Board state and game rules with no THREE, DOM or Firebase dependencies, so
+// they run the same in the browser, the solver worker and Node.
+//
+// A board is indexed board[z][y][x] and holds true where a queen stands. Its
+// dimensions are written [X, Y, Z]; a cube of edge N is [N, N, N].
+
+import { TARGET_TABLE } from "./target-table.js";
+
+export function createEmptyBoard(X, Y = X, Z = X) {
+  return Array.from({ length: Z }, () =>
+    Array.from({ length: Y }, () => Array(X).fill(false))
+  );
+}
+
+// --- BOARD SHAPE ---
+// Accepts an edge length for a cube or an [X, Y, Z] triple.
+export function toDims(size) {
+  return Array.isArray(size) ? [...size] : [size, size, size];
+}
+
+export function getBoardDims(board) {
+  return [board[0][0].length, board[0].length, board.length];
+}
+
+export function isCube([X, Y, Z]) {
+  return X === Y && Y === Z;
+}
+
+// "4" for a 4×4×4 cube and "4x4x8" otherwise: the name used in save keys
+// and the board text format.
+export function getSizeName(dims) {
+  return isCube(dims) ? `${dims[0]}` : dims.join("x");
+}
+
+export function formatDims(dims) {
+  return dims.join("×");
+}
+
+// [x, y, z] of every queen on the board.
+export function getQueenCoords(board) {
+  const coords = [];
+  board.forEach((layer, z) =>
+    layer.forEach((row, y) =>
+      row.forEach((hasQueen, x) => {
+        if (hasQueen) coords.push([x, y, z]);
+      })
+    )
+  );
+  return coords;
+}
+
+// --- ATTACK RULES ---
+export function isQueenAttacking(x1, y1, z1, x2, y2, z2) {
+  if (x1 === x2 && y1 === y2 && z1 === z2) return false;
+  const dx = Math.abs(x1 - x2);
+  const dy = Math.abs(y1 - y2);
+  const dz = Math.abs(z1 - z2);
+  if (
+    (dx === 0 && dy === 0) ||
+    (dx === 0 && dz === 0) ||
+    (dy === 0 && dz === 0)
+  )
+    return true;
+  if (
+    (dx === 0 && dy === dz) ||
+    (dy === 0 && dx === dz) ||
+    (dz === 0 && dx === dy)
+  )
+    return true;
+  if (dx === dy && dy === dz) return true;
+  return false;
+}
+
+// Returns the indices of every entry in `coords` ([x, y, z] triples) that is
+// attacked by at least one other entry. `isAttacking` takes two cells as
+// (x1, y1, z1, x2, y2, z2) and defaults to the classic queen.
+export function findConflicts(coords, isAttacking = isQueenAttacking) {
+  const conflicting = new Set();
+  for (let i = 0; i < coords.length; i++) {
+    for (let j = i + 1; j < coords.length; j++) {
+      if (isAttacking(...coords[i], ...coords[j])) {
+        conflicting.add(i);
+        conflicting.add(j);
+      }
+    }
+  }
+  return conflicting;
+}
+
+// --- TARGETS & UNLOCKS ---
+// How a target is known:
+//   "proven"     no board can hold more (value === upper)
+//   "lowerBound" a certificate board holds value queens, more may fit
+//   "heuristic"  a guess past the verified table, not known to be reachable
+// See tools/verify-targets.js for how the table is built.
+export function getLevelTargetInfo(level) {
+  if (TARGET_TABLE[level]) return TARGET_TABLE[level];
+  return {
+    value: Math.floor((level * level) / 2),
+    upper: level * level,
+    status: "heuristic",
+    certificate: null,
+  };
+}
+
+export function getLevelTarget(level) {
+  return getLevelTargetInfo(level).value;
+}
+
+export function isNewBest(queenCount, conflictCount, previousBest) {
+  return conflictCount === 0 && queenCount > previousBest;
+}
+
+// A level unlocks once the target is met without conflicts. `message` is only
+// set on the transition into "perfect", so it is shown once per unlock.
+// Beating a target that is only a lower bound beats the best known board.
+export function getUnlockState(
+  previousStatus,
+  { queenCount, conflictCount, target, targetStatus = "heuristic" }
+) {
+  if (conflictCount > 0 || queenCount < target) {
+    return { status: "none", levelCompleted: false, message: null };
+  }
+  let message = null;
+  if (previousStatus !== "perfect") {
+    if (queenCount <= target) {
+      message = "Perfect! Target Reached!";
+    } else if (targetStatus === "lowerBound") {
+      message = `New Record! ${queenCount} Queens beats the best known board!`;
+    } else {
+      message = `New Record! ${queenCount} Queens!`;
+    }
+  }
+  return { status: "perfect", levelCompleted: true, message };
+}
@@ -0,0 +1,27 @@
+import { solveBoard } from "./solver.js";
+import { findHint } from "./hints.js";
+import { getRuleSet } from "./rule-sets.js";
+import { checkLevel } from "./levels.js";
+
+// Runs the solver off the main thread so the render loop keeps going.
+// There is no cooperative cancel: the game terminates the worker instead.
+// Messages with mode "hint" run the bounded hint search instead, and mode
+// "check" the level editor's solvability and uniqueness check.
+self.onmessage = (event) => {
+  const { board, target, ruleSetId, mode, blocked = [], level } = event.data;
+  if (mode === "check") {
+    self.postMessage({ type: "check", ...checkLevel(level) });
+    return;
+  }
+  const ruleSet = getRuleSet(ruleSetId);
+  if (mode === "hint") {
+    self.postMessage({ type: "hint", ...findHint(board, target, { ruleSet, blocked }) });
+    return;
+  }
+  const result = solveBoard(board, target, {
+    ruleSet,
+    blocked,
+    onProgress: (progress) => self.postMessage({ type: "progress", ...progress }),
+  });
+  self.postMessage({ type: "result", ...result });
+};
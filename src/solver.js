@@ -0,0 +1,155 @@
+import { createAttackTracker } from "./attack-tracker.js";
+import { createEmptyBoard, getBoardDims } from "./rules.js";
+import { RULE_SETS, allowsSharedRows } from "./rule-sets.js";
+
+// Backtracking search that keeps the pieces already on `board` and tries to
+// add more until `target` is reached. Cells are visited one X-row at a time.
+// When the rule set attacks along rows, a row holds at most one piece, so the
+// number of remaining rows with a free cell bounds how many can still be
+// added; otherwise every free cell in those rows counts.
+//
+// Cells in options.blocked ([x, y, z] each) never get a piece.
+//
+// Resolves to one of:
+//   { status: "solved", board, best, nodes }
+//   { status: "unreachable", board, best, nodes } (board is the best found)
+//   { status: "conflict", best, nodes } (the placed queens attack each other
+//                                        or one stands on a blocked cell)
+//   { status: "stopped", board, best, nodes } (gave up after options.maxNodes)
+export function solveBoard(board, target, options = {}) {
+  const result = search(board, target, options, 1);
+  if (result.status === "conflict") return result;
+  const { status, board: found, best, nodes } = result;
+  return {
+    status: result.count > 0 ? "solved" : status,
+    board: found,
+    best,
+    nodes,
+  };
+}
+
+// Counts the ways to add pieces to `board` until it holds exactly `target`,
+// stopping at `options.limit` (2 by default, enough to tell one answer from
+// several). Takes the same options as solveBoard. Returns
+//   { status: "counted", count, board, nodes } (count is exact up to limit)
+//   { status: "stopped", count, board, nodes } (count is only a lower bound)
+//   { status: "conflict", count: 0, nodes }
+// where board is the first solution found, if any.
+export function countSolutions(board, target, options = {}) {
+  const { limit = 2 } = options;
+  const result = search(board, target, options, limit);
+  if (result.status === "conflict") return { ...result, count: 0 };
+  return {
+    status: result.status === "stopped" ? "stopped" : "counted",
+    count: result.count,
+    board: result.count > 0 ? result.board : null,
+    nodes: result.nodes,
+  };
+}
+
+// The backtracking behind both: stops after `limit` solutions.
+function search(board, target, options, limit) {
+  const {
+    onProgress = null,
+    progressInterval = 200000,
+    ruleSet = RULE_SETS.queen,
+    maxNodes = Infinity,
+    blocked = [],
+  } = options;
+  const dims = getBoardDims(board);
+  const [X, Y, Z] = dims;
+  const tracker = createAttackTracker(dims, ruleSet);
+  const rowCapacity = allowsSharedRows(ruleSet) ? X : 1;
+  const placed = [];
+  blocked.forEach(([x, y, z]) => tracker.block(x, y, z));
+
+  for (let z = 0; z < Z; z++)
+    for (let y = 0; y < Y; y++)
+      for (let x = 0; x < X; x++) {
+        if (!board[z][y][x]) continue;
+        if (tracker.isAttacked(x, y, z) || tracker.isBlocked(x, y, z)) {
+          return { status: "conflict", best: 0, nodes: 0 };
+        }
+        tracker.add(x, y, z);
+        placed.push({ x, y, z });
+      }
+
+  const rowCount = Y * Z;
+  function countRowFreeCells(row, limit) {
+    const y = row % Y;
+    const z = Math.floor(row / Y);
+    let free = 0;
+    for (let x = 0; x < X && free < limit; x++) {
+      if (tracker.isFree(x, y, z)) free++;
+    }
+    return free;
+  }
+
+  let best = placed.length;
+  let bestPlacement = placed.slice();
+  let firstSolution = null;
+  let count = 0;
+  let nodes = 0;
+  let stopped = false;
+
+  function visit(row, fromX = 0) {
+    nodes++;
+    if (nodes > maxNodes) {
+      stopped = true;
+      return false;
+    }
+    if (onProgress && nodes % progressInterval === 0) {
+      onProgress({ nodes, best });
+    }
+    if (placed.length > best) {
+      best = placed.length;
+      bestPlacement = placed.slice();
+    }
+    if (placed.length >= target) {
+      count++;
+      if (!firstSolution) firstSolution = placed.slice();
+      return count >= limit;
+    }
+
+    let bound = placed.length;
+    for (let r = row; r < rowCount && bound < target; r++) {
+      bound += countRowFreeCells(r, rowCapacity);
+    }
+    if (bound < target) return false;
+
+    while (row < rowCount && countRowFreeCells(row, 1) === 0) {
+      row++;
+      fromX = 0;
+    }
+    if (row === rowCount) return false;
+
+    // Place a piece on some free cell at or after `fromX` in this row, or
+    // move on. Rows are only revisited when pieces may share them.
+    const y = row % Y;
+    const z = Math.floor(row / Y);
+    for (let x = fromX; x < X; x++) {
+      if (!tracker.isFree(x, y, z)) continue;
+      tracker.add(x, y, z);
+      placed.push({ x, y, z });
+      const done = rowCapacity > 1 ? visit(row, x + 1) : visit(row + 1);
+      if (done) return true;
+      placed.pop();
+      tracker.remove(x, y, z);
+      if (stopped) return false;
+    }
+    return visit(row + 1);
+  }
+
+  visit(0);
+  const result = createEmptyBoard(...dims);
+  for (const { x, y, z } of firstSolution || bestPlacement) {
+    result[z][y][x] = true;
+  }
+  return {
+    status: stopped ? "stopped" : "unreachable",
+    board: result,
+    best,
+    count,
+    nodes,
+  };
+}
@@ -0,0 +1,256 @@
+// --- STATISTICS ---
+// Play statistics live in the save data as
+//   {
+//     levels: { <level key>: <level stats> },
+//     days: { "YYYY-MM-DD": { timeMs, placements, completions } },
+//     achievements: { <achievement id>: unlockedAt ms },
+//   }
+// where level keys are the score keys from script.js ("6", "rook:4x4x8",
+// "puzzle:<id>"). Every count only ever grows, which is what lets two
+// copies merge by keeping the higher of each.
+
+const LEVEL_FIELDS = [
+  "timeMs", // time spent placing queens, see IDLE_LIMIT
+  "placements",
+  "removals",
+  "conflicts", // placements onto an attacked cell
+  "hints",
+  "assistPlacements", // placements made with assist mode on
+  "completions", // times the target was reached
+  "cleanCompletions", // of those, with no conflict ever and no solver
+];
+const DAY_FIELDS = ["timeMs", "placements", "completions"];
+
+// Time between two moves counts as play up to this long; a longer gap
+// means the player stepped away.
+export const IDLE_LIMIT = 2 * 60 * 1000;
+
+export function createEmptyStats() {
+  return { levels: {}, days: {}, achievements: {} };
+}
+
+function createCounts(fields) {
+  return Object.fromEntries(fields.map((field) => [field, 0]));
+}
+
+export function getLevelStats(stats, key) {
+  return { ...createCounts(LEVEL_FIELDS), ...stats.levels[key] };
+}
+
+function addCounts(stats, key, dateKey, counts) {
+  const level = getLevelStats(stats, key);
+  const day = { ...createCounts(DAY_FIELDS), ...stats.days[dateKey] };
+  for (const [field, amount] of Object.entries(counts)) {
+    level[field] += amount;
+    if (field in day) day[field] += amount;
+  }
+  stats.levels[key] = level;
+  stats.days[dateKey] = day;
+}
+
+// `gap` is the time since the previous move or the start of the level.
+export function recordPlayTime(stats, key, dateKey, gap) {
+  addCounts(stats, key, dateKey, { timeMs: Math.min(Math.max(0, gap), IDLE_LIMIT) });
+}
+
+export function recordPlacement(stats, key, dateKey, { isConflict, withAssist }) {
+  addCounts(stats, key, dateKey, {
+    placements: 1,
+    conflicts: isConflict ? 1 : 0,
+    assistPlacements: withAssist ? 1 : 0,
+  });
+}
+
+export function recordRemoval(stats, key, dateKey) {
+  addCounts(stats, key, dateKey, { removals: 1 });
+}
+
+export function recordHint(stats, key, dateKey) {
+  addCounts(stats, key, dateKey, { hints: 1 });
+}
+
+// `session` describes the run that just reached the target:
+//   { dims, ruleSetId, isPuzzle, timeMs, usedAssist, usedHints, usedSolver, hadConflict }
+// Returns the achievements it unlocked.
+export function recordCompletion(stats, key, dateKey, session, now) {
+  addCounts(stats, key, dateKey, {
+    completions: 1,
+    cleanCompletions: session.hadConflict || session.usedSolver ? 0 : 1,
+  });
+  return unlockAchievements(stats, dateKey, session, now);
+}
+
+// Sums every level's counts.
+export function getTotals(stats) {
+  const totals = createCounts(LEVEL_FIELDS);
+  Object.keys(stats.levels).forEach((key) => {
+    const level = getLevelStats(stats, key);
+    LEVEL_FIELDS.forEach((field) => (totals[field] += level[field]));
+  });
+  return totals;
+}
+
+// --- STREAKS ---
+function toDayNumber(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+}
+
+// Runs of consecutive days with at least one placement: { current, best }.
+// The current run still counts until `todayKey` ends without play.
+export function getStreaks(days, todayKey) {
+  const played = Object.keys(days)
+    .filter((key) => days[key].placements > 0)
+    .map(toDayNumber)
+    .sort((a, b) => a - b);
+  let best = 0;
+  let run = 0;
+  played.forEach((day, i) => {
+    run = i > 0 && day === played[i - 1] + 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+  const last = played[played.length - 1];
+  const today = toDayNumber(todayKey);
+  return { current: last === today || last === today - 1 ? run : 0, best };
+}
+
+// --- ACHIEVEMENTS ---
+// Each test gets the stats and the session that just reached a target, or
+// null when checking outside a completion. A target the solver reached
+// doesn't earn anything that rewards the solve itself.
+const isOwnSolve = (session) => !!session && !session.usedSolver;
+
+const isCubeOf = (session, size) =>
+  isOwnSolve(session) &&
+  !session.isPuzzle &&
+  session.dims.every((edge) => edge === size);
+
+function getCompletedRuleSets(stats) {
+  const ruleSets = new Set();
+  Object.entries(stats.levels).forEach(([key, level]) => {
+    if (level.completions === 0 || key.startsWith("puzzle:")) return;
+    ruleSets.add(key.includes(":") ? key.split(":")[0] : "queen");
+  });
+  return ruleSets;
+}
+
+function countSolvedPuzzles(stats) {
+  return Object.entries(stats.levels).filter(
+    ([key, level]) => key.startsWith("puzzle:") && level.completions > 0
+  ).length;
+}
+
+export const ACHIEVEMENTS = [
+  {
+    id: "first-target",
+    name: "First Steps",
+    description: "Reach the target on any level",
+    test: (stats, session) => isOwnSolve(session),
+  },
+  {
+    id: "six-unassisted",
+    name: "No Training Wheels",
+    description: "Reach the target on N=6 without assist mode or hints",
+    test: (stats, session) =>
+      isCubeOf(session, 6) && !session.usedAssist && !session.usedHints,
+  },
+  {
+    id: "clean-solve",
+    name: "Clean Sheet",
+    description: "Solve a level without a conflict ever appearing",
+    test: (stats, session) => isOwnSolve(session) && !session.hadConflict,
+  },
+  {
+    id: "eight-alone",
+    name: "All by Myself",
+    description: "Reach the target on N=8 with no assist, hints or solver",
+    test: (stats, session) =>
+      isCubeOf(session, 8) && !session.usedAssist && !session.usedHints,
+  },
+  {
+    id: "five-fast",
+    name: "Speed Demon",
+    description: "Reach the target on N=5 in under a minute",
+    test: (stats, session) => isCubeOf(session, 5) && session.timeMs < 60000,
+  },
+  {
+    id: "hundred-queens",
+    name: "Centurion",
+    description: "Place 100 queens",
+    test: (stats) => getTotals(stats).placements >= 100,
+  },
+  {
+    id: "thousand-queens",
+    name: "Queen Factory",
+    description: "Place 1,000 queens",
+    test: (stats) => getTotals(stats).placements >= 1000,
+  },
+  {
+    id: "three-rule-sets",
+    name: "Rule Bender",
+    description: "Reach a target under 3 different rule sets",
+    test: (stats) => getCompletedRuleSets(stats).size >= 3,
+  },
+  {
+    id: "five-puzzles",
+    name: "Puzzler",
+    description: "Solve 5 curated puzzles",
+    test: (stats) => countSolvedPuzzles(stats) >= 5,
+  },
+  {
+    id: "three-day-streak",
+    name: "On a Roll",
+    description: "Play 3 days in a row",
+    test: (stats, session, todayKey) => getStreaks(stats.days, todayKey).best >= 3,
+  },
+  {
+    id: "week-streak",
+    name: "Devoted",
+    description: "Play 7 days in a row",
+    test: (stats, session, todayKey) => getStreaks(stats.days, todayKey).best >= 7,
+  },
+];
+
+// Marks every achievement whose test now passes and returns the new ones.
+export function unlockAchievements(stats, todayKey, session = null, now = Date.now()) {
+  const unlocked = ACHIEVEMENTS.filter(
+    ({ id, test }) => !stats.achievements[id] && test(stats, session, todayKey)
+  );
+  unlocked.forEach(({ id }) => (stats.achievements[id] = now));
+  return unlocked;
+}
+
+// --- MERGING ---
+function mergeCounts(left = {}, right = {}, fields) {
+  const merged = {};
+  fields.forEach((field) => {
+    merged[field] = Math.max(left[field] || 0, right[field] || 0);
+  });
+  return merged;
+}
+
+function mergeEntries(left, right, fields) {
+  const merged = {};
+  new Set([...Object.keys(left), ...Object.keys(right)]).forEach((key) => {
+    merged[key] = mergeCounts(left[key], right[key], fields);
+  });
+  return merged;
+}
+
+// Keeps the higher of each count and the earliest unlock of each
+// achievement.
+export function mergeStats(a, b) {
+  const left = { ...createEmptyStats(), ...a };
+  const right = { ...createEmptyStats(), ...b };
+  const achievements = { ...left.achievements };
+  for (const [id, unlockedAt] of Object.entries(right.achievements)) {
+    if (!(id in achievements) || unlockedAt < achievements[id]) {
+      achievements[id] = unlockedAt;
+    }
+  }
+  return {
+    levels: mergeEntries(left.levels, right.levels, LEVEL_FIELDS),
+    days: mergeEntries(left.days, right.days, DAY_FIELDS),
+    achievements,
+  };
+}
@@ -0,0 +1,191 @@
+// --- STORAGE ---
+// Saves always go to a local backend so the game works offline. A remote
+// backend (Firestore) can be attached later as a sync layer; when both hold
+// data they are merged with mergeSaveData before anything is written back.
+//
+// A backend is any object with async load() -> data | null and save(data).
+
+import { createEmptyStats, mergeStats } from "./stats.js";
+
+export function createEmptySave() {
+  return {
+    scores: {},
+    hints: {}, // level -> hints taken, kept next to its score
+    solutions: {}, // level -> { queens, keys } of distinct best solutions
+    times: {}, // level -> fastest ms to the target in timed mode
+    daily: {}, // "YYYY-MM-DD" -> fastest ms to finish that day's puzzle
+    autosaves: {}, // level -> { board, history, savedAt }
+    saveSlots: [], // { id, name, level, puzzle, ruleSetId, board, history, savedAt }
+    constellations: [],
+    stats: createEmptyStats(), // see src/stats.js
+    theme: "standard", // color theme id, see src/accessibility.js
+  };
+}
+
+// Older saves kept a single lastSession; it becomes that level's autosave.
+function normalizeSaveData(data) {
+  const { lastSession, ...rest } = data || {};
+  const normalized = { ...createEmptySave(), ...rest };
+  if (lastSession && lastSession.board && !normalized.autosaves[lastSession.level]) {
+    normalized.autosaves = {
+      ...normalized.autosaves,
+      [lastSession.level]: {
+        board: lastSession.board,
+        history: lastSession.history || null,
+        savedAt: lastSession.savedAt || 0,
+      },
+    };
+  }
+  return normalized;
+}
+
+function isNewer(entry, existing) {
+  return !existing || (entry.savedAt || 0) > (existing.savedAt || 0);
+}
+
+function mergeByKey(entries, getKey) {
+  const byKey = new Map();
+  entries.forEach((entry) => {
+    const key = getKey(entry);
+    if (isNewer(entry, byKey.get(key))) byKey.set(key, entry);
+  });
+  return [...byKey.values()];
+}
+
+function mergeFastest(left, right) {
+  const merged = { ...left };
+  for (const [key, time] of Object.entries(right)) {
+    if (!(key in merged) || time < merged[key]) merged[key] = time;
+  }
+  return merged;
+}
+
+export function createLocalBackend(
+  key = "n_queens_save",
+  storage = globalThis.localStorage
+) {
+  return {
+    async load() {
+      if (!storage) return null;
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async save(data) {
+      if (!storage) return;
+      storage.setItem(key, JSON.stringify(data));
+    },
+  };
+}
+
+// Keeps the higher best and hint count and the fastest times per board
+// size, and pools the distinct solutions found for it. Of two autosaves of
+// the same level, slots with the same id or constellations with the same
+// name, it keeps whichever was saved most recently. Statistics merge as in
+// mergeStats.
+export function mergeSaveData(a, b) {
+  const left = normalizeSaveData(a);
+  const right = normalizeSaveData(b);
+
+  const scores = { ...left.scores };
+  for (const [size, score] of Object.entries(right.scores)) {
+    scores[size] = Math.max(scores[size] || 0, score);
+  }
+  // Hint counts only grow, so the higher one has seen every hint.
+  const hints = { ...left.hints };
+  for (const [size, count] of Object.entries(right.hints)) {
+    hints[size] = Math.max(hints[size] || 0, count);
+  }
+
+  const times = mergeFastest(left.times, right.times);
+  const daily = mergeFastest(left.daily, right.daily);
+
+  // Solutions with more queens replace the list; equal ones pool their keys.
+  const solutions = { ...left.solutions };
+  for (const [size, record] of Object.entries(right.solutions)) {
+    const existing = solutions[size];
+    if (!existing || record.queens > existing.queens) {
+      solutions[size] = record;
+    } else if (record.queens === existing.queens) {
+      const keys = new Set([...existing.keys, ...record.keys]);
+      solutions[size] = { queens: existing.queens, keys: [...keys] };
+    }
+  }
+
+  const autosaves = { ...left.autosaves };
+  for (const [level, autosave] of Object.entries(right.autosaves)) {
+    if (isNewer(autosave, autosaves[level])) autosaves[level] = autosave;
+  }
+
+  return {
+    ...left,
+    ...right,
+    scores,
+    hints,
+    solutions,
+    times,
+    daily,
+    autosaves,
+    stats: mergeStats(left.stats, right.stats),
+    saveSlots: mergeByKey(
+      [...left.saveSlots, ...right.saveSlots],
+      (slot) => slot.id
+    ),
+    constellations: mergeByKey(
+      [...left.constellations, ...right.constellations],
+      (entry) => entry.name
+    ),
+  };
+}
+
+export function createGameStore(localBackend) {
+  let remoteBackend = null;
+
+  async function loadFrom(backend, label) {
+    try {
+      return await backend.load();
+    } catch (e) {
+      console.error(`Error loading ${label} data:`, e);
+      return null;
+    }
+  }
+
+  return {
+    async load() {
+      return mergeSaveData(await loadFrom(localBackend, "local"), null);
+    },
+
+    async save(data) {
+      try {
+        await localBackend.save(data);
+      } catch (e) {
+        console.error("Error saving local data:", e);
+      }
+      if (!remoteBackend) return;
+      try {
+        await remoteBackend.save(data);
+      } catch (e) {
+        console.error("Error syncing data:", e);
+      }
+    },
+
+    // Merges the remote copy into the local one and starts mirroring saves to
+    // it. If the remote can't be read it is left detached, so a failed read
+    // never overwrites good remote data with local data.
+    async attachRemote(backend) {
+      let remoteData;
+      try {
+        remoteData = await backend.load();
+      } catch (e) {
+        console.error("Error loading remote data:", e);
+        return this.load();
+      }
+      const merged = mergeSaveData(
+        await loadFrom(localBackend, "local"),
+        remoteData
+      );
+      remoteBackend = backend;
+      await this.save(merged);
+      return merged;
+    },
+  };
+}
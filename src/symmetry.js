@@ -0,0 +1,126 @@
+import {
+  createEmptyBoard,
+  getBoardDims,
+  getQueenCoords,
+  getSizeName,
+  toDims,
+} from "./rules.js";
+
+// --- SYMMETRY ---
+// A symmetry moves cell [x, y, z] by permuting the axes and mirroring some
+// of them: output axis i takes input axis perm[i], reversed when flip[i].
+// A cube has all 6 × 8 = 48; other boxes only keep the permutations that
+// swap edges of equal length. Every rule set attacks the same way in all of
+// them, so a symmetry always maps a solution to a solution.
+
+const PERMUTATIONS = [
+  [0, 1, 2],
+  [0, 2, 1],
+  [1, 0, 2],
+  [1, 2, 0],
+  [2, 0, 1],
+  [2, 1, 0],
+];
+const AXIS_INDEX = { X: 0, Y: 1, Z: 2 };
+
+export function getSymmetries(size) {
+  const dims = toDims(size);
+  const symmetries = [];
+  for (const perm of PERMUTATIONS) {
+    if (perm.some((from, to) => dims[from] !== dims[to])) continue;
+    for (let mask = 0; mask < 8; mask++) {
+      symmetries.push({ perm, flip: [0, 1, 2].map((i) => ((mask >> i) & 1) === 1) });
+    }
+  }
+  return symmetries;
+}
+
+// `dims` are the board's before the move.
+export function transformCell(cell, { perm, flip }, dims) {
+  return perm.map((from, to) =>
+    flip[to] ? dims[from] - 1 - cell[from] : cell[from]
+  );
+}
+
+// Returns a new board; its dimensions are permuted along with the axes.
+export function transformBoard(board, symmetry) {
+  const dims = getBoardDims(board);
+  const result = createEmptyBoard(...symmetry.perm.map((from) => dims[from]));
+  getQueenCoords(board).forEach((cell) => {
+    const [x, y, z] = transformCell(cell, symmetry, dims);
+    result[z][y][x] = true;
+  });
+  return result;
+}
+
+// A quarter turn about `axis` ("X", "Y" or "Z"), counterclockwise when
+// looking down the axis towards the origin.
+export function getQuarterTurn(axis) {
+  const a = AXIS_INDEX[axis];
+  const [b, c] = [(a + 1) % 3, (a + 2) % 3];
+  // (b, c) -> (-c, b)
+  const perm = [0, 1, 2];
+  perm[b] = c;
+  perm[c] = b;
+  const flip = [false, false, false];
+  flip[b] = true;
+  return { perm, flip };
+}
+
+export function getReflection(axis) {
+  const flip = [false, false, false];
+  flip[AXIS_INDEX[axis]] = true;
+  return { perm: [0, 1, 2], flip };
+}
+
+export function rotateBoard(board, axis, quarterTurns = 1) {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  let result = board;
+  for (let i = 0; i < turns; i++) {
+    result = transformBoard(result, getQuarterTurn(axis));
+  }
+  return result;
+}
+
+export function reflectBoard(board, axis) {
+  return transformBoard(board, getReflection(axis));
+}
+
+// The same string for every board that one symmetry turns into another:
+// the size followed by the smallest sorted list of cell indices any
+// symmetry produces.
+export function getCanonicalKey(board) {
+  const dims = getBoardDims(board);
+  const coords = getQueenCoords(board);
+  let best = null;
+  for (const symmetry of getSymmetries(dims)) {
+    const indices = coords
+      .map((cell) => {
+        const [x, y, z] = transformCell(cell, symmetry, dims);
+        return (z * dims[1] + y) * dims[0] + x;
+      })
+      .sort((a, b) => a - b);
+    if (!best || isSmaller(indices, best)) best = indices;
+  }
+  return `${getSizeName(dims)}:${best.join(",")}`;
+}
+
+function isSmaller(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i];
+  }
+  return false;
+}
+
+// --- DISTINCT SOLUTIONS ---
+// A level's record is { queens, keys }: the canonical keys of every
+// distinct solution found with the most queens so far. A solution with more
+// queens starts a fresh list. Returns the record unchanged when `key` adds
+// nothing.
+export function addDistinctSolution(record, key, queenCount) {
+  if (!record || queenCount > record.queens) {
+    return { queens: queenCount, keys: [key] };
+  }
+  if (queenCount < record.queens || record.keys.includes(key)) return record;
+  return { queens: record.queens, keys: [...record.keys, key] };
+}
@@ -0,0 +1,93 @@
+import { createAttackTracker } from "./attack-tracker.js";
+import { createEmptyBoard } from "./rules.js";
+import { solveBoard } from "./solver.js";
+
+// --- TARGET SEARCH ---
+// The pieces behind tools/verify-targets.js, which fills src/target-table.js.
+// Each size gets a certificate (a conflict-free board holding `value`
+// queens) and an upper bound, and is only marked proven when the two meet.
+
+// Most queens that fit on an N×N chessboard.
+function getPlanarMax(N) {
+  return N === 2 ? 1 : N === 3 ? 2 : N;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Every Z layer is an ordinary chessboard, so at most N layers of N queens
+// fit. Klarner (1967) showed N² is reached exactly when gcd(N, 210) = 1, so
+// every other size falls at least one short.
+export function getUpperBound(N) {
+  const layered = N * getPlanarMax(N);
+  return layered === N * N && gcd(N, 210) !== 1 ? layered - 1 : layered;
+}
+
+// Tries every plane z ≡ a·x + b·y (mod N), the construction behind
+// Klarner's N² boards. Each plane is pruned until no queen is attacked,
+// most-attacked first, then topped up with any cells left free. Returns the
+// best board found.
+export function findPlanePlacement(N) {
+  let best = null;
+  let bestCount = -1;
+  for (let a = 0; a < N; a++)
+    for (let b = 0; b < N; b++) {
+      const tracker = createAttackTracker(N);
+      for (let y = 0; y < N; y++)
+        for (let x = 0; x < N; x++) tracker.add(x, y, (a * x + b * y) % N);
+
+      let conflicts = tracker.conflicts();
+      while (conflicts.length > 0) {
+        let worst = conflicts[0];
+        for (const cell of conflicts) {
+          if (tracker.attackCount(...cell) > tracker.attackCount(...worst)) worst = cell;
+        }
+        tracker.remove(...worst);
+        conflicts = tracker.conflicts();
+      }
+      let free = tracker.freeCells();
+      while (free.length > 0) {
+        tracker.add(...free[0]);
+        free = tracker.freeCells();
+      }
+
+      if (tracker.queenCount > bestCount) {
+        bestCount = tracker.queenCount;
+        best = createEmptyBoard(N);
+        for (let z = 0; z < N; z++)
+          for (let y = 0; y < N; y++)
+            for (let x = 0; x < N; x++) {
+              if (tracker.hasQueen(x, y, z)) best[z][y][x] = true;
+            }
+      }
+    }
+  return { board: best, count: bestCount };
+}
+
+// Finds the most queens for an N×N×N board that `maxNodes` of exhaustive
+// search can settle. Starts from the plane construction and asks the solver
+// for one more queen at a time; an "unreachable" answer proves the last
+// board optimal. Returns { value, upper, status, board } where status is
+// "proven" or "lowerBound".
+export function verifyTarget(N, { maxNodes = 1e6 } = {}) {
+  let { board, count: value } = findPlanePlacement(N);
+  let upper = getUpperBound(N);
+
+  while (value < upper) {
+    const result = solveBoard(createEmptyBoard(N), value + 1, { maxNodes });
+    if (result.status === "solved") {
+      board = result.board;
+      value++;
+    } else {
+      if (result.status === "unreachable") upper = value;
+      break;
+    }
+  }
+  return {
+    value,
+    upper,
+    status: value === upper ? "proven" : "lowerBound",
+    board,
+  };
+}
@@ -0,0 +1,127 @@
+// Generated by tools/verify-targets.js. Don't edit by hand: rerun the tool.
+//
+// For each cube size N: the most queens a certificate board holds (value),
+// the most that could possibly fit (upper), and whether the two meet
+// ("proven") or value is only the best known ("lowerBound").
+export const TARGET_TABLE = {
+  1: {
+    value: 1,
+    upper: 1,
+    status: "proven",
+    certificate: "1:0,0,0",
+  },
+  2: {
+    value: 1,
+    upper: 1,
+    status: "proven",
+    certificate: "2:1,1,0",
+  },
+  3: {
+    value: 4,
+    upper: 4,
+    status: "proven",
+    certificate: "3:0,1,0;2,2,0;2,0,1;1,2,2",
+  },
+  4: {
+    value: 7,
+    upper: 7,
+    status: "proven",
+    certificate: "4:3,1,0;0,2,0;2,3,0;0,0,1;3,2,2;3,0,3;1,3,3",
+  },
+  5: {
+    value: 13,
+    upper: 13,
+    status: "proven",
+    certificate: "5:2,0,0;0,1,0;4,3,0;1,4,0;4,0,1;1,0,2;3,3,2;0,4,2;3,0,3;0,2,3;0,0,4;4,2,4;2,3,4",
+  },
+  6: {
+    value: 21,
+    upper: 35,
+    status: "lowerBound",
+    certificate: "6:0,0,0;2,1,0;4,2,0;3,4,0;1,3,1;5,4,1;0,5,1;1,0,2;5,1,2;3,5,2;4,3,3;1,4,3;5,5,3;5,0,4;0,1,4;2,2,4;2,0,5;5,2,5;0,3,5;4,4,5;1,5,5",
+  },
+  7: {
+    value: 28,
+    upper: 48,
+    status: "lowerBound",
+    certificate: "7:0,0,0;2,1,0;4,2,0;1,3,0;3,4,0;4,0,1;6,1,1;5,4,1;0,6,1;1,0,2;0,4,2;2,5,2;4,6,2;5,0,3;4,4,3;6,5,3;2,0,4;0,1,4;6,2,4;1,5,4;6,0,5;4,1,5;0,3,5;5,6,5;4,3,6;2,4,6;0,5,6;3,6,6",
+  },
+  8: {
+    value: 36,
+    upper: 63,
+    status: "lowerBound",
+    certificate: "8:5,0,0;3,1,0;1,2,0;4,4,0;6,5,0;0,6,0;2,7,0;1,0,1;7,1,1;5,2,1;4,0,2;0,2,2;5,4,2;7,5,2;1,6,2;3,7,2;0,0,3;2,1,3;6,7,3;5,1,4;6,4,4;4,5,4;2,6,4;0,7,4;3,0,5;1,1,5;7,6,5;6,1,6;7,4,6;5,5,6;3,6,6;1,7,6;0,1,7;2,2,7;4,3,7;1,4,7",
+  },
+  9: {
+    value: 47,
+    upper: 80,
+    status: "lowerBound",
+    certificate: "9:0,0,0;2,1,0;4,2,0;1,3,0;3,4,0;8,5,0;4,0,1;6,1,1;8,2,1;5,4,1;0,5,1;2,6,1;7,7,1;1,0,2;7,4,2;4,6,2;0,7,2;5,8,2;5,0,3;7,1,3;0,2,3;6,6,3;8,7,3;3,8,3;2,0,4;6,3,4;1,5,4;6,0,5;1,2,5;8,3,5;7,5,5;2,7,5;0,8,5;3,1,6;5,2,6;2,4,6;8,8,6;7,2,7;4,4,7;1,6,7;3,7,7;6,8,7;4,1,8;0,3,8;8,4,8;6,5,8;1,8,8",
+  },
+  10: {
+    value: 59,
+    upper: 99,
+    status: "lowerBound",
+    certificate: "10:0,0,0;2,1,0;4,2,0;1,3,0;3,4,0;8,5,0;5,9,0;4,0,1;6,1,1;8,2,1;5,4,1;0,5,1;2,6,1;7,7,1;3,9,1;1,0,2;7,4,2;9,5,2;4,6,2;0,7,2;5,8,2;8,9,2;5,0,3;7,1,3;0,2,3;6,6,3;8,7,3;3,8,3;2,0,4;3,3,4;1,4,4;7,9,4;6,0,5;8,1,5;1,2,5;9,6,5;5,7,5;0,8,5;2,9,5;5,2,6;6,4,6;8,8,6;7,2,7;0,4,7;2,5,7;5,6,7;1,9,7;4,1,8;2,2,8;5,3,8;9,4,8;0,6,8;7,8,8;0,1,9;7,3,9;3,5,9;8,6,9;1,8,9;4,9,9",
+  },
+  11: {
+    value: 121,
+    upper: 121,
+    status: "proven",
+    certificate: "11:0,0,0;9,1,0;7,2,0;5,3,0;3,4,0;1,5,0;10,6,0;8,7,0;6,8,0;4,9,0;2,10,0;6,0,1;4,1,1;2,2,1;0,3,1;9,4,1;7,5,1;5,6,1;3,7,1;1,8,1;10,9,1;8,10,1;1,0,2;10,1,2;8,2,2;6,3,2;4,4,2;2,5,2;0,6,2;9,7,2;7,8,2;5,9,2;3,10,2;7,0,3;5,1,3;3,2,3;1,3,3;10,4,3;8,5,3;6,6,3;4,7,3;2,8,3;0,9,3;9,10,3;2,0,4;0,1,4;9,2,4;7,3,4;5,4,4;3,5,4;1,6,4;10,7,4;8,8,4;6,9,4;4,10,4;8,0,5;6,1,5;4,2,5;2,3,5;0,4,5;9,5,5;7,6,5;5,7,5;3,8,5;1,9,5;10,10,5;3,0,6;1,1,6;10,2,6;8,3,6;6,4,6;4,5,6;2,6,6;0,7,6;9,8,6;7,9,6;5,10,6;9,0,7;7,1,7;5,2,7;3,3,7;1,4,7;10,5,7;8,6,7;6,7,7;4,8,7;2,9,7;0,10,7;4,0,8;2,1,8;0,2,8;9,3,8;7,4,8;5,5,8;3,6,8;1,7,8;10,8,8;8,9,8;6,10,8;10,0,9;8,1,9;6,2,9;4,3,9;2,4,9;0,5,9;9,6,9;7,7,9;5,8,9;3,9,9;1,10,9;5,0,10;3,1,10;1,2,10;10,3,10;8,4,10;6,5,10;4,6,10;2,7,10;0,8,10;9,9,10;7,10,10",
+  },
+  12: {
+    value: 84,
+    upper: 143,
+    status: "lowerBound",
+    certificate: "12:1,0,0;9,1,0;5,2,0;10,5,0;0,6,0;2,7,0;4,8,0;8,10,0;11,11,0;3,0,1;11,1,1;0,2,1;8,3,1;5,4,1;9,7,1;1,9,1;4,10,1;0,0,2;8,1,2;4,2,2;11,5,2;1,6,2;3,7,2;5,8,2;9,10,2;6,0,3;2,3,3;4,4,3;8,6,3;10,7,3;3,10,3;5,11,3;9,0,4;4,1,4;2,6,4;6,8,4;8,9,4;10,10,4;0,11,4;2,0,5;9,2,5;6,3,5;11,7,5;0,8,5;4,11,5;10,0,6;5,1,6;0,5,6;3,6,6;7,8,6;9,9,6;11,10,6;1,11,6;0,1,7;10,2,7;3,3,7;1,8,7;7,11,7;6,1,8;0,4,8;7,5,8;4,6,8;8,8,8;10,9,8;2,11,8;1,2,9;4,3,9;11,4,9;10,6,9;2,8,9;7,10,9;4,0,10;7,1,10;1,4,10;8,5,10;5,6,10;9,8,10;11,9,10;0,10,10;3,11,10;2,2,11;9,3,11;3,5,11;5,9,11",
+  },
+  13: {
+    value: 169,
+    upper: 169,
+    status: "proven",
+    certificate: "13:0,0,0;11,1,0;9,2,0;7,3,0;5,4,0;3,5,0;1,6,0;12,7,0;10,8,0;8,9,0;6,10,0;4,11,0;2,12,0;7,0,1;5,1,1;3,2,1;1,3,1;12,4,1;10,5,1;8,6,1;6,7,1;4,8,1;2,9,1;0,10,1;11,11,1;9,12,1;1,0,2;12,1,2;10,2,2;8,3,2;6,4,2;4,5,2;2,6,2;0,7,2;11,8,2;9,9,2;7,10,2;5,11,2;3,12,2;8,0,3;6,1,3;4,2,3;2,3,3;0,4,3;11,5,3;9,6,3;7,7,3;5,8,3;3,9,3;1,10,3;12,11,3;10,12,3;2,0,4;0,1,4;11,2,4;9,3,4;7,4,4;5,5,4;3,6,4;1,7,4;12,8,4;10,9,4;8,10,4;6,11,4;4,12,4;9,0,5;7,1,5;5,2,5;3,3,5;1,4,5;12,5,5;10,6,5;8,7,5;6,8,5;4,9,5;2,10,5;0,11,5;11,12,5;3,0,6;1,1,6;12,2,6;10,3,6;8,4,6;6,5,6;4,6,6;2,7,6;0,8,6;11,9,6;9,10,6;7,11,6;5,12,6;10,0,7;8,1,7;6,2,7;4,3,7;2,4,7;0,5,7;11,6,7;9,7,7;7,8,7;5,9,7;3,10,7;1,11,7;12,12,7;4,0,8;2,1,8;0,2,8;11,3,8;9,4,8;7,5,8;5,6,8;3,7,8;1,8,8;12,9,8;10,10,8;8,11,8;6,12,8;11,0,9;9,1,9;7,2,9;5,3,9;3,4,9;1,5,9;12,6,9;10,7,9;8,8,9;6,9,9;4,10,9;2,11,9;0,12,9;5,0,10;3,1,10;1,2,10;12,3,10;10,4,10;8,5,10;6,6,10;4,7,10;2,8,10;0,9,10;11,10,10;9,11,10;7,12,10;12,0,11;10,1,11;8,2,11;6,3,11;4,4,11;2,5,11;0,6,11;11,7,11;9,8,11;7,9,11;5,10,11;3,11,11;1,12,11;6,0,12;4,1,12;2,2,12;0,3,12;11,4,12;9,5,12;7,6,12;5,7,12;3,8,12;1,9,12;12,10,12;10,11,12;8,12,12",
+  },
+  14: {
+    value: 114,
+    upper: 195,
+    status: "lowerBound",
+    certificate: "14:10,0,0;1,1,0;3,2,0;5,3,0;0,4,0;2,5,0;9,6,0;12,7,0;7,9,0;6,11,0;4,0,1;6,1,1;8,2,1;13,4,1;0,6,1;2,7,1;10,9,1;1,10,1;11,11,1;3,13,1;0,0,2;10,1,2;11,3,2;6,4,2;8,7,2;12,8,2;3,9,2;7,10,2;1,12,2;5,13,2;3,0,3;5,1,3;7,2,3;1,3,3;13,5,3;0,10,3;4,11,3;11,12,3;8,13,3;9,0,4;0,1,4;10,2,4;1,6,4;7,7,4;2,8,4;12,9,4;13,11,4;6,0,5;12,1,5;2,2,5;4,3,5;1,4,5;13,6,5;8,9,5;0,11,5;11,13,5;4,1,6;0,2,6;10,3,6;2,9,6;12,10,6;3,11,6;6,12,6;13,0,7;7,1,7;12,2,7;3,3,7;11,7,7;4,8,7;10,12,7;3,1,8;9,2,8;0,3,8;10,4,8;1,5,8;7,8,8;2,10,8;12,11,8;4,13,8;13,1,9;12,3,9;3,4,9;6,5,9;11,8,9;0,9,9;5,11,9;10,13,9;2,0,10;9,1,10;1,2,10;10,5,10;4,7,10;5,9,10;3,10,10;12,12,10;5,0,11;13,2,11;12,4,11;2,6,11;11,9,11;6,3,12;4,4,12;0,5,12;10,6,12;13,8,12;8,10,12;12,13,12;8,0,13;13,3,13;12,5,13;6,6,13;1,9,13;11,10,13;2,11,13",
+  },
+  15: {
+    value: 134,
+    upper: 224,
+    status: "lowerBound",
+    certificate: "15:14,0,0;0,1,0;2,2,0;4,3,0;1,4,0;3,5,0;9,6,0;11,7,0;13,8,0;6,10,0;5,12,0;8,14,0;3,0,1;5,1,1;7,2,1;9,3,1;11,4,1;13,5,1;0,7,1;2,8,1;4,9,1;12,10,1;8,11,1;1,13,1;6,14,1;1,0,2;10,1,2;13,2,2;6,4,2;0,5,2;2,6,2;7,7,2;12,8,2;14,9,2;5,11,2;4,13,2;11,14,2;6,0,3;8,1,3;0,3,3;12,4,3;14,5,3;5,6,3;10,7,3;1,9,3;7,11,3;13,12,3;2,13,3;9,14,3;2,0,4;13,1,4;14,3,4;3,6,4;7,8,4;11,10,4;1,11,4;10,12,4;0,13,4;0,0,5;11,1,5;1,2,5;7,3,5;13,6,5;10,8,5;5,10,5;4,12,5;14,13,5;7,0,6;3,1,6;14,4,6;1,5,6;4,7,6;0,8,6;12,9,6;2,12,6;5,14,6;13,0,7;1,1,7;6,2,7;8,3,7;14,8,7;9,11,7;0,12,7;10,13,7;3,14,7;10,4,8;8,5,8;6,6,8;9,7,8;1,8,8;12,13,8;9,0,9;3,2,9;12,7,9;8,9,9;10,10,9;4,11,9;0,2,10;9,4,10;2,5,10;14,6,10;11,12,10;3,13,10;8,0,11;2,1,11;0,4,11;12,6,11;11,9,11;1,12,11;14,14,11;4,0,12;14,1,12;5,2,12;11,3,12;0,6,12;2,9,12;12,11,12;7,12,12;10,14,12;3,3,13;8,4,13;10,5,13;4,6,13;2,7,13;11,8,13;7,10,13;10,0,14;9,2,14;6,3,14;7,6,14;4,8,14;3,12,14;8,13,14;2,14,14",
+  },
+  16: {
+    value: 155,
+    upper: 255,
+    status: "lowerBound",
+    certificate: "16:5,0,0;7,1,0;1,2,0;11,3,0;13,4,0;3,7,0;8,8,0;10,9,0;12,10,0;14,11,0;0,12,0;2,13,0;4,14,0;6,15,0;0,0,1;10,1,1;3,2,1;7,3,1;2,4,1;8,5,1;1,6,1;12,7,1;9,13,1;14,15,1;6,0,2;8,1,2;0,2,2;12,3,2;4,4,2;9,8,2;11,9,2;13,10,2;15,11,2;1,12,2;3,13,2;5,14,2;7,15,2;4,0,3;2,1,3;10,2,3;15,4,3;0,5,3;9,6,3;7,7,3;1,9,3;11,12,3;15,1,4;10,8,4;12,9,4;14,10,4;8,11,4;2,12,4;4,13,4;6,14,4;0,15,4;1,0,5;3,1,5;9,2,5;14,3,5;11,5,5;4,6,5;15,7,5;0,8,5;12,12,5;12,0,6;0,3,6;2,6,6;11,8,6;13,9,6;15,10,6;9,11,6;3,12,6;5,13,6;7,14,6;1,15,6;2,0,7;9,1,7;12,2,7;6,3,7;11,6,7;8,7,7;3,10,7;0,11,7;13,13,7;15,0,8;3,6,8;12,8,8;14,9,8;8,10,8;10,11,8;4,12,8;6,13,8;0,14,8;2,15,8;7,0,9;0,1,9;6,2,9;5,5,9;12,6,9;9,7,9;14,13,9;8,15,9;10,0,10;2,7,10;13,8,10;15,9,10;9,10,10;11,11,10;5,12,10;7,13,10;1,14,10;3,15,10;13,0,11;6,1,11;14,2,11;0,4,11;5,6,11;9,15,11;9,0,12;5,3,12;7,4,12;14,8,12;8,9,12;10,10,12;12,11,12;6,12,12;0,13,12;2,14,12;4,15,12;13,1,13;7,2,13;3,3,13;1,4,13;12,5,13;14,6,13;11,7,13;2,8,13;4,9,13;10,14,13;4,1,14;15,8,14;9,9,14;11,10,14;13,11,14;7,12,14;1,13,14;3,14,14;5,15,14;8,2,15;1,7,15;3,8,15;0,9,15;11,13,15;13,14,15;15,15,15",
+  },
+  17: {
+    value: 289,
+    upper: 289,
+    status: "proven",
+    certificate: "17:0,0,0;15,1,0;13,2,0;11,3,0;9,4,0;7,5,0;5,6,0;3,7,0;1,8,0;16,9,0;14,10,0;12,11,0;10,12,0;8,13,0;6,14,0;4,15,0;2,16,0;9,0,1;7,1,1;5,2,1;3,3,1;1,4,1;16,5,1;14,6,1;12,7,1;10,8,1;8,9,1;6,10,1;4,11,1;2,12,1;0,13,1;15,14,1;13,15,1;11,16,1;1,0,2;16,1,2;14,2,2;12,3,2;10,4,2;8,5,2;6,6,2;4,7,2;2,8,2;0,9,2;15,10,2;13,11,2;11,12,2;9,13,2;7,14,2;5,15,2;3,16,2;10,0,3;8,1,3;6,2,3;4,3,3;2,4,3;0,5,3;15,6,3;13,7,3;11,8,3;9,9,3;7,10,3;5,11,3;3,12,3;1,13,3;16,14,3;14,15,3;12,16,3;2,0,4;0,1,4;15,2,4;13,3,4;11,4,4;9,5,4;7,6,4;5,7,4;3,8,4;1,9,4;16,10,4;14,11,4;12,12,4;10,13,4;8,14,4;6,15,4;4,16,4;11,0,5;9,1,5;7,2,5;5,3,5;3,4,5;1,5,5;16,6,5;14,7,5;12,8,5;10,9,5;8,10,5;6,11,5;4,12,5;2,13,5;0,14,5;15,15,5;13,16,5;3,0,6;1,1,6;16,2,6;14,3,6;12,4,6;10,5,6;8,6,6;6,7,6;4,8,6;2,9,6;0,10,6;15,11,6;13,12,6;11,13,6;9,14,6;7,15,6;5,16,6;12,0,7;10,1,7;8,2,7;6,3,7;4,4,7;2,5,7;0,6,7;15,7,7;13,8,7;11,9,7;9,10,7;7,11,7;5,12,7;3,13,7;1,14,7;16,15,7;14,16,7;4,0,8;2,1,8;0,2,8;15,3,8;13,4,8;11,5,8;9,6,8;7,7,8;5,8,8;3,9,8;1,10,8;16,11,8;14,12,8;12,13,8;10,14,8;8,15,8;6,16,8;13,0,9;11,1,9;9,2,9;7,3,9;5,4,9;3,5,9;1,6,9;16,7,9;14,8,9;12,9,9;10,10,9;8,11,9;6,12,9;4,13,9;2,14,9;0,15,9;15,16,9;5,0,10;3,1,10;1,2,10;16,3,10;14,4,10;12,5,10;10,6,10;8,7,10;6,8,10;4,9,10;2,10,10;0,11,10;15,12,10;13,13,10;11,14,10;9,15,10;7,16,10;14,0,11;12,1,11;10,2,11;8,3,11;6,4,11;4,5,11;2,6,11;0,7,11;15,8,11;13,9,11;11,10,11;9,11,11;7,12,11;5,13,11;3,14,11;1,15,11;16,16,11;6,0,12;4,1,12;2,2,12;0,3,12;15,4,12;13,5,12;11,6,12;9,7,12;7,8,12;5,9,12;3,10,12;1,11,12;16,12,12;14,13,12;12,14,12;10,15,12;8,16,12;15,0,13;13,1,13;11,2,13;9,3,13;7,4,13;5,5,13;3,6,13;1,7,13;16,8,13;14,9,13;12,10,13;10,11,13;8,12,13;6,13,13;4,14,13;2,15,13;0,16,13;7,0,14;5,1,14;3,2,14;1,3,14;16,4,14;14,5,14;12,6,14;10,7,14;8,8,14;6,9,14;4,10,14;2,11,14;0,12,14;15,13,14;13,14,14;11,15,14;9,16,14;16,0,15;14,1,15;12,2,15;10,3,15;8,4,15;6,5,15;4,6,15;2,7,15;0,8,15;15,9,15;13,10,15;11,11,15;9,12,15;7,13,15;5,14,15;3,15,15;1,16,15;8,0,16;6,1,16;4,2,16;2,3,16;0,4,16;15,5,16;13,6,16;11,7,16;9,8,16;7,9,16;5,10,16;3,11,16;1,12,16;16,13,16;14,14,16;12,15,16;10,16,16",
+  },
+  18: {
+    value: 197,
+    upper: 323,
+    status: "lowerBound",
+    certificate: "18:0,0,0;2,1,0;4,2,0;1,3,0;3,4,0;8,5,0;10,6,0;12,7,0;14,8,0;5,9,0;7,10,0;6,12,0;9,14,0;4,0,1;6,1,1;8,2,1;10,3,1;5,4,1;0,5,1;2,6,1;7,7,1;16,8,1;3,9,1;1,10,1;9,11,1;11,12,1;15,13,1;17,14,1;12,15,1;1,0,2;10,1,2;12,2,2;14,3,2;16,4,2;7,5,2;4,6,2;0,7,2;11,8,2;6,9,2;15,10,2;17,11,2;3,13,2;9,15,2;2,16,2;5,17,2;5,0,3;7,1,3;0,2,3;11,4,3;13,5,3;15,6,3;17,7,3;9,8,3;4,9,3;2,10,3;8,11,3;14,12,3;1,13,3;12,16,3;16,17,3;2,0,4;11,1,4;9,2,4;3,3,4;1,4,4;17,5,4;13,7,4;7,9,4;0,10,4;10,11,4;5,12,4;16,13,4;4,15,4;8,16,4;6,0,5;14,1,5;1,2,5;3,8,5;12,9,5;8,12,5;13,13,5;11,14,5;17,15,5;0,17,5;3,0,6;16,1,6;6,2,6;2,4,6;5,6,6;1,8,6;10,10,6;0,13,6;4,14,6;11,16,6;8,17,6;13,0,7;15,3,7;0,4,7;16,5,7;14,6,7;17,10,7;1,11,7;3,12,7;6,17,7;15,0,8;1,1,8;2,3,8;13,4,8;9,5,8;6,10,8;5,13,8;12,14,8;4,17,8;8,1,9;10,2,9;4,4,9;11,5,9;7,6,9;13,8,9;0,11,9;2,12,9;16,14,9;3,15,9;1,16,9;14,0,10;16,6,10;4,7,10;17,8,10;8,9,10;3,10,10;13,11,10;5,14,10;11,17,10;7,0,11;3,1,11;13,2,11;17,3,11;4,5,11;16,10,11;9,12,11;11,13,11;8,14,11;0,3,12;8,6,12;14,7,12;13,10,12;5,11,12;16,12,12;15,14,12;9,16,12;17,17,12;13,1,13;2,2,13;8,3,13;12,4,13;17,6,13;5,7,13;1,9,13;4,13,13;9,1,14;17,2,14;5,3,14;1,6,14;13,9,14;4,10,14;0,12,14;10,14,14;14,17,14;3,2,15;12,5,15;6,7,15;0,8,15;10,12,15;4,16,15;2,17,15;0,1,16;7,2,16;13,3,16;14,5,16;3,7,16;16,9,16;12,11,16;8,13,16;6,14,16;10,17,16;10,0,17;4,1,17;16,2,17;17,4,17;2,5,17;11,6,17;6,8,17;5,10,17;15,11,17;1,12,17;12,13,17;7,16,17",
+  },
+  19: {
+    value: 361,
+    upper: 361,
+    status: "proven",
+    certificate: "19:0,0,0;17,1,0;15,2,0;13,3,0;11,4,0;9,5,0;7,6,0;5,7,0;3,8,0;1,9,0;18,10,0;16,11,0;14,12,0;12,13,0;10,14,0;8,15,0;6,16,0;4,17,0;2,18,0;10,0,1;8,1,1;6,2,1;4,3,1;2,4,1;0,5,1;17,6,1;15,7,1;13,8,1;11,9,1;9,10,1;7,11,1;5,12,1;3,13,1;1,14,1;18,15,1;16,16,1;14,17,1;12,18,1;1,0,2;18,1,2;16,2,2;14,3,2;12,4,2;10,5,2;8,6,2;6,7,2;4,8,2;2,9,2;0,10,2;17,11,2;15,12,2;13,13,2;11,14,2;9,15,2;7,16,2;5,17,2;3,18,2;11,0,3;9,1,3;7,2,3;5,3,3;3,4,3;1,5,3;18,6,3;16,7,3;14,8,3;12,9,3;10,10,3;8,11,3;6,12,3;4,13,3;2,14,3;0,15,3;17,16,3;15,17,3;13,18,3;2,0,4;0,1,4;17,2,4;15,3,4;13,4,4;11,5,4;9,6,4;7,7,4;5,8,4;3,9,4;1,10,4;18,11,4;16,12,4;14,13,4;12,14,4;10,15,4;8,16,4;6,17,4;4,18,4;12,0,5;10,1,5;8,2,5;6,3,5;4,4,5;2,5,5;0,6,5;17,7,5;15,8,5;13,9,5;11,10,5;9,11,5;7,12,5;5,13,5;3,14,5;1,15,5;18,16,5;16,17,5;14,18,5;3,0,6;1,1,6;18,2,6;16,3,6;14,4,6;12,5,6;10,6,6;8,7,6;6,8,6;4,9,6;2,10,6;0,11,6;17,12,6;15,13,6;13,14,6;11,15,6;9,16,6;7,17,6;5,18,6;13,0,7;11,1,7;9,2,7;7,3,7;5,4,7;3,5,7;1,6,7;18,7,7;16,8,7;14,9,7;12,10,7;10,11,7;8,12,7;6,13,7;4,14,7;2,15,7;0,16,7;17,17,7;15,18,7;4,0,8;2,1,8;0,2,8;17,3,8;15,4,8;13,5,8;11,6,8;9,7,8;7,8,8;5,9,8;3,10,8;1,11,8;18,12,8;16,13,8;14,14,8;12,15,8;10,16,8;8,17,8;6,18,8;14,0,9;12,1,9;10,2,9;8,3,9;6,4,9;4,5,9;2,6,9;0,7,9;17,8,9;15,9,9;13,10,9;11,11,9;9,12,9;7,13,9;5,14,9;3,15,9;1,16,9;18,17,9;16,18,9;5,0,10;3,1,10;1,2,10;18,3,10;16,4,10;14,5,10;12,6,10;10,7,10;8,8,10;6,9,10;4,10,10;2,11,10;0,12,10;17,13,10;15,14,10;13,15,10;11,16,10;9,17,10;7,18,10;15,0,11;13,1,11;11,2,11;9,3,11;7,4,11;5,5,11;3,6,11;1,7,11;18,8,11;16,9,11;14,10,11;12,11,11;10,12,11;8,13,11;6,14,11;4,15,11;2,16,11;0,17,11;17,18,11;6,0,12;4,1,12;2,2,12;0,3,12;17,4,12;15,5,12;13,6,12;11,7,12;9,8,12;7,9,12;5,10,12;3,11,12;1,12,12;18,13,12;16,14,12;14,15,12;12,16,12;10,17,12;8,18,12;16,0,13;14,1,13;12,2,13;10,3,13;8,4,13;6,5,13;4,6,13;2,7,13;0,8,13;17,9,13;15,10,13;13,11,13;11,12,13;9,13,13;7,14,13;5,15,13;3,16,13;1,17,13;18,18,13;7,0,14;5,1,14;3,2,14;1,3,14;18,4,14;16,5,14;14,6,14;12,7,14;10,8,14;8,9,14;6,10,14;4,11,14;2,12,14;0,13,14;17,14,14;15,15,14;13,16,14;11,17,14;9,18,14;17,0,15;15,1,15;13,2,15;11,3,15;9,4,15;7,5,15;5,6,15;3,7,15;1,8,15;18,9,15;16,10,15;14,11,15;12,12,15;10,13,15;8,14,15;6,15,15;4,16,15;2,17,15;0,18,15;8,0,16;6,1,16;4,2,16;2,3,16;0,4,16;17,5,16;15,6,16;13,7,16;11,8,16;9,9,16;7,10,16;5,11,16;3,12,16;1,13,16;18,14,16;16,15,16;14,16,16;12,17,16;10,18,16;18,0,17;16,1,17;14,2,17;12,3,17;10,4,17;8,5,17;6,6,17;4,7,17;2,8,17;0,9,17;17,10,17;15,11,17;13,12,17;11,13,17;9,14,17;7,15,17;5,16,17;3,17,17;1,18,17;9,0,18;7,1,18;5,2,18;3,3,18;1,4,18;18,5,18;16,6,18;14,7,18;12,8,18;10,9,18;8,10,18;6,11,18;4,12,18;2,13,18;0,14,18;17,15,18;15,16,18;13,17,18;11,18,18",
+  },
+  20: {
+    value: 248,
+    upper: 399,
+    status: "lowerBound",
+    certificate: "20:0,0,0;2,1,0;4,2,0;1,3,0;3,4,0;8,5,0;10,6,0;12,7,0;14,8,0;5,9,0;7,10,0;18,11,0;6,12,0;9,14,0;11,19,0;4,0,1;6,1,1;8,2,1;10,3,1;5,4,1;0,5,1;2,6,1;7,7,1;16,8,1;3,9,1;1,10,1;9,11,1;11,12,1;15,13,1;17,14,1;12,15,1;1,0,2;10,1,2;12,2,2;14,3,2;16,4,2;7,5,2;4,6,2;0,7,2;11,8,2;6,9,2;15,10,2;17,11,2;19,12,2;3,13,2;9,15,2;2,16,2;5,17,2;18,18,2;8,19,2;5,0,3;7,1,3;0,2,3;18,3,3;11,4,3;13,5,3;17,6,3;19,7,3;9,8,3;4,9,3;2,10,3;8,11,3;12,12,3;1,13,3;16,14,3;14,18,3;3,19,3;2,0,4;11,1,4;9,2,4;3,3,4;1,4,4;15,6,4;13,7,4;7,9,4;0,10,4;5,12,4;14,13,4;8,14,4;4,15,4;19,16,4;12,17,4;6,18,4;18,19,4;6,0,5;14,1,5;1,2,5;18,4,5;3,8,5;12,9,5;19,10,5;8,12,5;17,13,5;9,16,5;0,17,5;10,18,5;13,19,5;3,0,6;16,1,6;6,2,6;12,3,6;2,4,6;5,6,6;1,8,6;10,10,6;13,12,6;0,13,6;4,14,6;11,16,6;7,19,6;13,0,7;18,1,7;17,3,7;0,4,7;16,5,7;11,7,7;19,9,7;1,11,7;3,12,7;6,17,7;15,18,7;5,19,7;15,0,8;1,1,8;2,3,8;13,4,8;9,5,8;14,6,8;6,10,8;5,13,8;19,14,8;17,15,8;4,17,8;19,0,9;8,1,9;10,2,9;4,4,9;7,6,9;13,8,9;15,9,9;0,11,9;2,12,9;11,14,9;3,15,9;1,16,9;9,17,9;16,18,9;15,3,10;10,4,10;4,7,10;18,8,10;8,9,10;3,10,10;13,11,10;9,13,10;5,14,10;11,17,10;2,18,10;16,0,11;3,1,11;5,2,11;4,5,11;19,6,11;18,13,11;14,14,11;8,15,11;15,17,11;10,19,11;7,0,12;12,1,12;0,3,12;9,7,12;13,10,12;19,11,12;10,12,12;17,17,12;14,19,12;15,2,13;9,3,13;12,4,13;5,5,13;14,7,13;10,9,13;8,10,13;2,13,13;0,14,13;1,19,13;9,1,14;3,2,14;6,3,14;18,5,14;1,6,14;5,8,14;16,10,14;0,12,14;7,15,14;8,17,14;11,0,15;10,5,15;6,6,15;12,8,15;1,9,15;7,11,15;14,12,15;15,14,15;3,16,15;8,0,16;0,1,16;7,2,16;6,4,16;4,8,16;16,9,16;12,11,16;1,12,16;19,13,16;4,1,17;16,2,17;15,4,17;0,6,17;11,9,17;5,10,17;19,15,17;12,16,17;17,18,17;19,1,18;6,5,18;5,7,18;17,8,18;13,9,18;9,10,18;2,15,18;8,16,18;1,17,18;12,19,18;10,0,19;13,1,19;11,2,19;19,5,19;12,6,19;1,7,19;0,9,19;16,11,19;9,12,19;18,14,19;15,15,19;6,16,19;7,18,19;4,19,19",
+  },
+};
@@ -0,0 +1,120 @@
+import { createAttackTracker } from "./attack-tracker.js";
+import { RULE_SETS } from "./rule-sets.js";
+import { toDims } from "./rules.js";
+
+// --- HOT-SEAT MATCHES ---
+// Two players share one board and take turns placing a queen in their own
+// color. A queen may only go on a cell no queen of either player attacks,
+// and a player left with no such cell on their turn loses. The boolean
+// board can't tell whose queen is whose, so a match keeps `owners` next to
+// it: owners[z][y][x] is 0 or 1 for a player's queen and null when empty.
+export function createMatch(size, ruleSet = RULE_SETS.queen) {
+  const dims = toDims(size);
+  const [X, Y, Z] = dims;
+  const owners = Array.from({ length: Z }, () =>
+    Array.from({ length: Y }, () => Array(X).fill(null))
+  );
+  const tracker = createAttackTracker(dims, ruleSet);
+  const moves = []; // { cell: [x, y, z], player } in the order played
+  const counts = [0, 0];
+
+  return {
+    dims,
+    ruleSet,
+    owners,
+    moves,
+
+    // The player whose turn it is, 0 or 1.
+    get turn() {
+      return moves.length % 2;
+    },
+
+    // Queens placed by each player.
+    get counts() {
+      return [...counts];
+    },
+
+    // The player who won once the one to move is stuck, otherwise null.
+    get winner() {
+      return tracker.freeCount === 0 ? 1 - this.turn : null;
+    },
+
+    isSafe(x, y, z) {
+      return tracker.isFree(x, y, z);
+    },
+
+    safeCells() {
+      return tracker.freeCells();
+    },
+
+    // Places a queen for the player to move. Returns false, changing
+    // nothing, when the cell isn't safe.
+    play([x, y, z]) {
+      if (!tracker.isFree(x, y, z)) return false;
+      const player = this.turn;
+      tracker.add(x, y, z);
+      owners[z][y][x] = player;
+      counts[player]++;
+      moves.push({ cell: [x, y, z], player });
+      return true;
+    },
+  };
+}
+
+// --- AI OPPONENT ---
+// A strength is how many moves ahead the AI reads and how many positions it
+// may visit for one move. Depth 1 finds a winning move, depth 2 also steers
+// clear of moves that hand the opponent one; deeper reads the endgame.
+export const AI_LEVELS = {
+  easy: { name: "Easy", depth: 0, maxNodes: 0 },
+  medium: { name: "Medium", depth: 2, maxNodes: 5000 },
+  hard: { name: "Hard", depth: 8, maxNodes: 50000 },
+};
+
+// Picks a cell for the player to move, or null when there is none. Reads
+// one move deeper at a time and keeps the deepest reading it finished
+// within the level's budget; `random` breaks ties between equal moves.
+export function chooseAiMove(match, level = "medium", random = Math.random) {
+  const { depth, maxNodes } = Object.hasOwn(AI_LEVELS, level)
+    ? AI_LEVELS[level]
+    : AI_LEVELS.medium;
+  const tracker = createAttackTracker(match.dims, match.ruleSet);
+  match.moves.forEach(({ cell: [x, y, z] }) => tracker.add(x, y, z));
+  const moves = tracker.freeCells();
+  if (moves.length === 0) return null;
+
+  let scores = moves.map(() => 0);
+  const budget = { nodes: 0, maxNodes };
+  for (let d = 1; d <= depth; d++) {
+    const next = [];
+    for (const [x, y, z] of moves) {
+      tracker.add(x, y, z);
+      next.push(-negamax(tracker, d - 1, budget));
+      tracker.remove(x, y, z);
+    }
+    if (budget.nodes > maxNodes) break;
+    scores = next;
+    // A forced win, or a loss whatever happens, won't change with depth.
+    if (scores.includes(1) || scores.every((score) => score === -1)) break;
+  }
+
+  const best = Math.max(...scores);
+  const candidates = moves.filter((_, i) => scores[i] === best);
+  return candidates[Math.floor(random() * candidates.length)];
+}
+
+// 1 when the player to move can force a win, -1 when every move loses and
+// 0 when `depth` or the budget ran out before that was known.
+function negamax(tracker, depth, budget) {
+  budget.nodes++;
+  if (tracker.freeCount === 0) return -1;
+  if (depth === 0 || budget.nodes > budget.maxNodes) return 0;
+  let best = -1;
+  for (const [x, y, z] of tracker.freeCells()) {
+    tracker.add(x, y, z);
+    best = Math.max(best, -negamax(tracker, depth - 1, budget));
+    tracker.remove(x, y, z);
+    if (best === 1) break;
+  }
+  return best;
+}
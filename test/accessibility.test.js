@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_THEME_ID,
+  THEMES,
+  describeCell,
+  describeChange,
+  describeQueens,
+  getTheme,
+  toCssColor,
+} from "../src/accessibility.js";
+import { CELL } from "../src/levels.js";
+
+test("every theme gives a color for every role", () => {
+  const roles = Object.keys(THEMES[DEFAULT_THEME_ID].colors).sort();
+  Object.values(THEMES).forEach((theme) => {
+    assert.deepEqual(Object.keys(theme.colors).sort(), roles, theme.id);
+    assert.equal(getTheme(theme.id), theme);
+  });
+});
+
+test("themes keep conflicts, players and the hover apart", () => {
+  Object.values(THEMES).forEach(({ id, colors }) => {
+    assert.notEqual(colors.conflict, colors.queen, id);
+    assert.notEqual(colors.conflict, colors.lockedQueen, id);
+    assert.notEqual(colors.valid, colors.invalid, id);
+    assert.notEqual(colors.playerTwo, colors.hover, id);
+    assert.notEqual(colors.playerTwo, colors.queen, id);
+  });
+});
+
+test("unknown themes fall back to the standard one", () => {
+  assert.equal(getTheme("sepia"), THEMES.standard);
+  assert.equal(getTheme(undefined), THEMES.standard);
+  assert.equal(getTheme("constructor"), THEMES.standard);
+  assert.equal(getTheme("toString"), THEMES.standard);
+});
+
+test("colors become CSS hex strings", () => {
+  assert.equal(toCssColor(0xdc143c), "#dc143c");
+  assert.equal(toCssColor(0x00ff00), "#00ff00");
+});
+
+test("queens read as coordinates", () => {
+  assert.equal(describeQueens([]), "No queens on the board");
+  assert.equal(describeQueens([[0, 0, 0]]), "1 queen: (0, 0, 0)");
+  assert.equal(
+    describeQueens([
+      [0, 0, 0],
+      [2, 1, 0],
+    ]),
+    "2 queens: (0, 0, 0), (2, 1, 0)"
+  );
+});
+
+test("changes announce what moved and how many queens are attacked", () => {
+  assert.equal(
+    describeChange({ added: [[1, 2, 0]], removed: [] }, 0),
+    "Queen placed on (1, 2, 0). No conflicts."
+  );
+  assert.equal(
+    describeChange({ added: [], removed: [[1, 2, 0]] }, 1),
+    "Queen removed from (1, 2, 0). 1 queen is under attack."
+  );
+  assert.equal(
+    describeChange(
+      {
+        added: [
+          [0, 0, 0],
+          [1, 2, 0],
+        ],
+        removed: [[3, 3, 3]],
+      },
+      2
+    ),
+    "Queen removed from (3, 3, 3). 2 queens placed. 2 queens are under attack."
+  );
+});
+
+test("cells describe what stands on them", () => {
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.EMPTY, isAttacked: false }),
+    "(1, 0, 2), safe"
+  );
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.EMPTY, isAttacked: true }),
+    "(1, 0, 2), attacked"
+  );
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.QUEEN, isAttacked: true }),
+    "(1, 0, 2), queen, under attack"
+  );
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.QUEEN, isAttacked: false, owner: "Player 2" }),
+    "(1, 0, 2), Player 2's queen"
+  );
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.LOCKED, isAttacked: false }),
+    "(1, 0, 2), puzzle queen"
+  );
+  assert.equal(
+    describeCell([1, 0, 2], { state: CELL.BLOCKED, isAttacked: false }),
+    "(1, 0, 2), blocked"
+  );
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAttackTracker } from "../src/attack-tracker.js";
+import { LINE_DIRECTIONS } from "../src/rule-sets.js";
+import { isQueenAttacking } from "../src/rules.js";
+
+// isQueenAttacking is the reference: every count the tracker keeps must match
+// a brute-force check against all queens on the board.
+function assertMatchesOracle(tracker, queens) {
+  const [X, Y, Z] = tracker.dims;
+  let free = 0;
+  for (let z = 0; z < Z; z++)
+    for (let y = 0; y < Y; y++)
+      for (let x = 0; x < X; x++) {
+        const expected = queens.filter((q) => isQueenAttacking(x, y, z, ...q)).length;
+        assert.equal(tracker.attackCount(x, y, z), expected, `count at ${x},${y},${z}`);
+        const hasQueen = queens.some(([qx, qy, qz]) => qx === x && qy === y && qz === z);
+        assert.equal(tracker.hasQueen(x, y, z), hasQueen);
+        if (!hasQueen && expected === 0) free++;
+      }
+  assert.equal(tracker.freeCount, free);
+  assert.equal(tracker.freeCells().length, free);
+  assert.equal(tracker.queenCount, queens.length);
+}
+
+test("there are 13 attack lines", () => {
+  assert.equal(LINE_DIRECTIONS.length, 13);
+});
+
+test("an empty board has every cell free", () => {
+  const tracker = createAttackTracker(3);
+  assert.equal(tracker.freeCount, 27);
+  assert.deepEqual(tracker.conflicts(), []);
+});
+
+function placeAndRemoveRandomly(dims) {
+  const tracker = createAttackTracker(dims);
+  const queens = [];
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  for (let step = 0; step < 60; step++) {
+    const cell = dims.map((size) => Math.floor(random() * size));
+    const existing = queens.findIndex((q) => q.every((v, i) => v === cell[i]));
+    if (existing >= 0) {
+      queens.splice(existing, 1);
+      tracker.remove(...cell);
+    } else {
+      queens.push(cell);
+      tracker.add(...cell);
+    }
+    assertMatchesOracle(tracker, queens);
+  }
+}
+
+test("counts match the rules after random placements and removals", () => {
+  placeAndRemoveRandomly([5, 5, 5]);
+});
+
+test("boards with different edge lengths are tracked just the same", () => {
+  placeAndRemoveRandomly([3, 4, 7]);
+  placeAndRemoveRandomly([2, 6, 6]);
+});
+
+test("conflicts lists exactly the queens that attack each other", () => {
+  const tracker = createAttackTracker(4);
+  tracker.add(0, 0, 0);
+  tracker.add(3, 3, 3);
+  tracker.add(1, 0, 2);
+  assert.deepEqual(
+    tracker.conflicts().map(String).sort(),
+    ["0,0,0", "3,3,3"]
+  );
+  tracker.remove(3, 3, 3);
+  assert.deepEqual(tracker.conflicts(), []);
+});
+
+test("blocked cells are never free but still pass attacks on", () => {
+  const tracker = createAttackTracker(3);
+  tracker.block(1, 1, 1);
+  assert.equal(tracker.freeCount, 26);
+  assert.equal(tracker.isFree(1, 1, 1), false);
+  assert.equal(tracker.freeCells().some((cell) => String(cell) === "1,1,1"), false);
+  tracker.add(0, 0, 0);
+  assert.equal(tracker.isAttacked(2, 2, 2), true);
+  tracker.remove(0, 0, 0);
+  assert.equal(tracker.freeCount, 26);
+  tracker.unblock(1, 1, 1);
+  assert.equal(tracker.isFree(1, 1, 1), true);
+  assert.equal(tracker.freeCount, 27);
+});
+
+test("adding or removing twice is a no-op", () => {
+  const tracker = createAttackTracker(3);
+  tracker.add(1, 1, 1);
+  tracker.add(1, 1, 1);
+  assertMatchesOracle(tracker, [[1, 1, 1]]);
+  tracker.remove(1, 1, 1);
+  tracker.remove(1, 1, 1);
+  assertMatchesOracle(tracker, []);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_BOARD_SIZE, parseBoard, serializeBoard } from "../src/board-format.js";
+import { createEmptyBoard } from "../src/rules.js";
+
+test("serializes the size followed by queen coordinates", () => {
+  const board = createEmptyBoard(3);
+  board[0][0][0] = true;
+  board[2][1][0] = true;
+  assert.equal(serializeBoard(board), "3:0,0,0;0,1,2");
+  assert.equal(serializeBoard(createEmptyBoard(4)), "4:");
+});
+
+test("parses what it serializes", () => {
+  const board = createEmptyBoard(4);
+  board[3][0][2] = true;
+  board[1][1][1] = true;
+  const result = parseBoard(serializeBoard(board));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.dims, [4, 4, 4]);
+  assert.deepEqual(result.board, board);
+});
+
+test("names the rule set unless it is the classic queen", () => {
+  const board = createEmptyBoard(3);
+  board[1][1][1] = true;
+  assert.equal(serializeBoard(board, "queen"), "3:1,1,1");
+  assert.equal(serializeBoard(board, "knight"), "knight/3:1,1,1");
+  assert.equal(parseBoard("knight/3:1,1,1").ruleSetId, "knight");
+  assert.equal(parseBoard("3:1,1,1").ruleSetId, "queen");
+  assert.match(parseBoard("dragon/3:").errors[0], /Unknown rule set/);
+});
+
+test("rule set names from the object prototype are unknown", () => {
+  ["toString", "constructor", "hasOwnProperty"].forEach((name) =>
+    assert.match(parseBoard(`${name}/3:0,0,0`).errors[0], /Unknown rule set/)
+  );
+});
+
+test("boxes that aren't cubes name every edge", () => {
+  const board = createEmptyBoard(2, 3, 5);
+  board[4][2][1] = true;
+  const text = serializeBoard(board);
+  assert.equal(text, "2x3x5:1,2,4");
+  const result = parseBoard(text);
+  assert.deepEqual(result.dims, [2, 3, 5]);
+  assert.deepEqual(result.board, board);
+  assert.match(parseBoard("2x3x5:2,0,0").errors[0], /outside a 2×3×5 board/);
+});
+
+test("ignores whitespace and a trailing separator", () => {
+  const result = parseBoard(" 2 : 0,0,0 ; 1,1,1 ;\n");
+  assert.equal(result.ok, true);
+  assert.equal(result.board[1][1][1], true);
+});
+
+test("reports every bad coordinate instead of loading", () => {
+  const result = parseBoard("3:0,0,3;a,b,c;1,1");
+  assert.equal(result.ok, false);
+  assert.equal(result.errors.length, 3);
+  assert.match(result.errors[0], /outside a 3×3×3 board/);
+});
+
+test("rejects malformed text and out-of-range sizes", () => {
+  assert.equal(parseBoard("hello").ok, false);
+  assert.equal(parseBoard("0:").ok, false);
+  assert.equal(parseBoard(`${MAX_BOARD_SIZE + 1}:`).ok, false);
+  assert.equal(parseBoard("4x0x4:").ok, false);
+  assert.equal(parseBoard("4x4:").ok, false);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRandom,
+  formatDuration,
+  generateDailyPuzzle,
+  getDateKey,
+  isBetterTime,
+} from "../src/challenges.js";
+import { createLevelBoard } from "../src/levels.js";
+import { findConflicts, getQueenCoords } from "../src/rules.js";
+import { solveBoard } from "../src/solver.js";
+
+test("times format as minutes, seconds and tenths", () => {
+  assert.equal(formatDuration(0), "0:00.0");
+  assert.equal(formatDuration(65349), "1:05.3");
+  assert.equal(formatDuration(600000), "10:00.0");
+});
+
+test("only a faster time beats the best", () => {
+  assert.equal(isBetterTime(5000, undefined), true);
+  assert.equal(isBetterTime(5000, 6000), true);
+  assert.equal(isBetterTime(6000, 6000), false);
+});
+
+test("the date key follows the local calendar day", () => {
+  assert.equal(getDateKey(new Date(2026, 0, 5, 23, 59)), "2026-01-05");
+});
+
+test("the seeded random sequence repeats for the same seed", () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const values = [a(), a(), a()];
+  assert.deepEqual([b(), b(), b()], values);
+  values.forEach((value) => assert.ok(value >= 0 && value < 1));
+});
+
+test("everyone gets the same puzzle on the same day", () => {
+  assert.deepEqual(
+    generateDailyPuzzle("2026-10-19"),
+    generateDailyPuzzle("2026-10-19")
+  );
+  const keys = ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22"];
+  const puzzles = new Set(
+    keys.map((key) => JSON.stringify(generateDailyPuzzle(key).locked))
+  );
+  assert.ok(puzzles.size > 1);
+});
+
+test("every daily puzzle comes with a solution through its locked queens", () => {
+  for (let day = 1; day <= 31; day++) {
+    const key = `2026-03-${String(day).padStart(2, "0")}`;
+    const { dims, target, locked, solution } = generateDailyPuzzle(key);
+    const coords = getQueenCoords(solution);
+    assert.equal(coords.length, target, key);
+    assert.equal(findConflicts(coords).size, 0, key);
+    assert.ok(locked.length > 0 && locked.length < target, key);
+    locked.forEach(([x, y, z]) => assert.equal(solution[z][y][x], true, key));
+    assert.equal(solution.length, dims[2]);
+  }
+});
+
+test("the solver can finish a small daily puzzle from its locked queens", () => {
+  let key = "2026-10-19";
+  for (let day = 1; generateDailyPuzzle(key).dims[0] !== 4; day++) {
+    key = `2026-11-${String(day).padStart(2, "0")}`;
+  }
+  const puzzle = generateDailyPuzzle(key);
+  const board = createLevelBoard(puzzle);
+  assert.equal(solveBoard(board, puzzle.target).status, "solved");
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeDirection, explainAttacks, findHint } from "../src/hints.js";
+import { RULE_SETS, getAttackPath } from "../src/rule-sets.js";
+import { createEmptyBoard } from "../src/rules.js";
+import { solveBoard } from "../src/solver.js";
+
+test("a hint keeps the target reachable", () => {
+  const board = createEmptyBoard(4);
+  board[0][0][0] = true;
+  const hint = findHint(board, 7);
+  assert.equal(hint.status, "hint");
+  const [x, y, z] = hint.cell;
+  assert.equal(board[z][y][x], false);
+  board[z][y][x] = true;
+  assert.equal(solveBoard(board, 7).status, "solved");
+});
+
+test("no hint is offered when the target is out of reach or met", () => {
+  const blocked = createEmptyBoard(3);
+  blocked[1][1][1] = true; // The center attacks every other cell.
+  assert.equal(findHint(blocked, 2).status, "unreachable");
+
+  const done = createEmptyBoard(2);
+  done[0][0][0] = true;
+  assert.equal(findHint(done, 1).status, "complete");
+});
+
+test("conflicts and an exhausted search are reported, not guessed at", () => {
+  const board = createEmptyBoard(4);
+  board[0][0][0] = true;
+  board[0][0][3] = true;
+  assert.equal(findHint(board, 7).status, "conflict");
+  assert.equal(findHint(createEmptyBoard(6), 22, { maxNodes: 100 }).status, "unknown");
+});
+
+test("attack paths run from the attacker to the attacked cell", () => {
+  const attack = getAttackPath(RULE_SETS.queen, 4, [0, 0, 0], [2, 2, 2]);
+  assert.deepEqual(attack.direction, [1, 1, 1]);
+  assert.deepEqual(attack.path, [[0, 0, 0], [1, 1, 1], [2, 2, 2]]);
+  assert.equal(getAttackPath(RULE_SETS.queen, 4, [0, 0, 0], [1, 2, 3]), null);
+});
+
+test("a torus attack goes the short way round", () => {
+  const attack = getAttackPath(RULE_SETS.torusQueen, 5, [0, 0, 0], [4, 0, 0]);
+  assert.deepEqual(attack.direction, [-1, 0, 0]);
+  assert.equal(attack.path.length, 2);
+});
+
+test("knight attacks are leaps", () => {
+  const attack = getAttackPath(RULE_SETS.knight, 4, [0, 0, 0], [1, 2, 0]);
+  assert.equal(attack.isLeap, true);
+  assert.equal(describeDirection(attack.direction, attack.isLeap), "by a leap");
+});
+
+test("explainAttacks lists every attacker with its direction", () => {
+  const coords = [[0, 0, 0], [3, 0, 0], [1, 1, 1], [0, 3, 2]];
+  const attacks = explainAttacks(RULE_SETS.queen, 4, coords, [0, 0, 0]);
+  assert.deepEqual(
+    attacks.map(({ from, direction }) => [from, describeDirection(direction)]),
+    [
+      [[3, 0, 0], "along X"],
+      [[1, 1, 1], "along a space diagonal"],
+    ]
+  );
+  assert.equal(describeDirection([0, 1, -1]), "along the YZ face diagonal");
+});
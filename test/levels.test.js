@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  CELL,
+  checkLevel,
+  createLevelBoard,
+  getCellState,
+  getFixedCells,
+  isEditable,
+  parseLevel,
+  parseLevelFiles,
+  parsePack,
+  serializeLevel,
+  serializePack,
+} from "../src/levels.js";
+import { getQueenCoords } from "../src/rules.js";
+
+const CORNER = {
+  id: "corner",
+  name: "Corner",
+  size: 4,
+  target: 6,
+  locked: [[0, 0, 0]],
+  blocked: [[1, 1, 1], [3, 3, 3]],
+};
+
+test("a level definition parses from JSON text or an object", () => {
+  for (const definition of [CORNER, JSON.stringify(CORNER)]) {
+    const result = parseLevel(definition);
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.level, {
+      id: "corner",
+      name: "Corner",
+      dims: [4, 4, 4],
+      ruleSetId: "queen",
+      target: 6,
+      locked: [[0, 0, 0]],
+      blocked: [[1, 1, 1], [3, 3, 3]],
+    });
+  }
+});
+
+test("boxes, other rules and a missing name are accepted", () => {
+  const result = parseLevel({ id: "tower", size: [2, 2, 5], rules: "rook", target: 4 });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.level.dims, [2, 2, 5]);
+  assert.equal(result.level.ruleSetId, "rook");
+  assert.equal(result.level.name, "tower");
+  assert.deepEqual(result.level.locked, []);
+});
+
+test("every problem in a level is reported", () => {
+  const result = parseLevel({
+    id: "",
+    size: 3,
+    rules: "dragon",
+    target: 0,
+    locked: [[0, 0, 0], [2, 0, 0], [5, 0, 0], [0, 0, 0]],
+    blocked: [[2, 0, 0], "1,1,1"],
+  });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.errors, [
+    '"id" must be a non-empty string',
+    'Unknown rule set "dragon"',
+    '5,0,0 in "locked" is outside a 3×3×3 board',
+    '0,0,0 is listed twice in "locked"',
+    '"1,1,1" in "blocked" is not an [x, y, z] cell',
+    "2,0,0 is both locked and blocked",
+    '"target" must be a whole number above 0',
+  ]);
+});
+
+test("rule set names from the object prototype are unknown", () => {
+  const result = parseLevel({
+    id: "a",
+    size: 3,
+    rules: "constructor",
+    target: 2,
+    locked: [[0, 0, 0], [2, 1, 0]],
+  });
+  assert.deepEqual(result, { ok: false, errors: ['Unknown rule set "constructor"'] });
+});
+
+test("locked queens may not attack each other", () => {
+  const result = parseLevel({ id: "a", size: 3, target: 2, locked: [[0, 0, 0], [2, 2, 2]] });
+  assert.deepEqual(result.errors, ["Locked queens 0,0,0 and 2,2,2 attack each other"]);
+  assert.deepEqual(parseLevel("{oops").errors.length, 1);
+  assert.deepEqual(parseLevel({ id: "a", size: 2, target: 8, blocked: [[0, 0, 0]] }).errors, [
+    "Target 8 is more than the 7 open cells",
+  ]);
+});
+
+test("cell states combine the board with the level's fixed cells", () => {
+  const { level } = parseLevel(CORNER);
+  const board = createLevelBoard(level);
+  board[2][0][1] = true;
+  const fixed = getFixedCells(level);
+  assert.equal(getCellState(fixed, board, [0, 0, 0]), CELL.LOCKED);
+  assert.equal(getCellState(fixed, board, [1, 1, 1]), CELL.BLOCKED);
+  assert.equal(getCellState(fixed, board, [1, 0, 2]), CELL.QUEEN);
+  assert.equal(getCellState(fixed, board, [2, 0, 0]), CELL.EMPTY);
+  assert.equal(isEditable(fixed, [1, 0, 2]), true);
+  assert.equal(isEditable(fixed, [0, 0, 0]), false);
+  assert.equal(isEditable(fixed, [3, 3, 3]), false);
+  assert.equal(getCellState(getFixedCells(null), board, [0, 0, 0]), CELL.QUEEN);
+});
+
+test("a pack collects its levels and names the broken ones", () => {
+  const result = parsePack({ name: "Starter", levels: [CORNER, { ...CORNER, name: "Again" }] });
+  assert.deepEqual(result.errors, ['Level 2: id "corner" is already used']);
+
+  const ok = parsePack({ levels: [CORNER, { id: "b", size: 2, target: 1 }] });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.pack.name, "Puzzle Pack");
+  assert.deepEqual(ok.pack.levels.map((level) => level.id), ["corner", "b"]);
+  assert.deepEqual(parsePack({ levels: [] }).ok, false);
+});
+
+test("a level written out parses back to itself", () => {
+  const { level } = parseLevel({ ...CORNER, size: [4, 4, 2], rules: "rook", blocked: [] });
+  const text = serializeLevel(level);
+  assert.deepEqual(parseLevel(text).level, level);
+  assert.equal("blocked" in JSON.parse(text), false);
+
+  const pack = { name: "Two", levels: [level, { ...level, id: "copy" }] };
+  assert.deepEqual(parsePack(serializePack(pack)).pack, pack);
+});
+
+test("a folder of level and pack files becomes one pack in file order", () => {
+  const files = [
+    { name: "02-pack.json", text: JSON.stringify({ levels: [{ id: "b", size: 2, target: 1 }] }) },
+    { name: "01-corner.json", text: JSON.stringify(CORNER) },
+  ];
+  const result = parseLevelFiles("Folder", files);
+  assert.equal(result.ok, true);
+  assert.equal(result.pack.name, "Folder");
+  assert.deepEqual(result.pack.levels.map((level) => level.id), ["corner", "b"]);
+
+  const broken = parseLevelFiles("Folder", [...files, { name: "03.json", text: "{" }]);
+  assert.equal(broken.ok, false);
+  assert.match(broken.errors[0], /^03\.json: Not valid JSON/);
+  assert.deepEqual(parseLevelFiles("Empty", []).errors, ["No levels found"]);
+});
+
+test("checks tell solvable, unique and impossible levels apart", () => {
+  const unique = parseLevel({ id: "u", size: 3, target: 4, locked: [[0, 0, 0], [2, 1, 0]] });
+  assert.deepEqual(
+    { ...checkLevel(unique.level), solution: undefined },
+    { solvable: true, unique: true, solution: undefined }
+  );
+  const solution = checkLevel(unique.level).solution;
+  assert.equal(getQueenCoords(solution).length, 4);
+
+  const open = parseLevel({ id: "o", size: 3, target: 4 });
+  assert.equal(checkLevel(open.level).unique, false);
+
+  const corners = [0, 2].flatMap((x) => [0, 2].flatMap((y) => [[x, y, 0], [x, y, 2]]));
+  const impossible = parseLevel({ id: "i", size: 3, target: 4, blocked: corners });
+  assert.deepEqual(
+    { ...checkLevel(impossible.level), solution: undefined },
+    { solvable: false, unique: false, solution: undefined }
+  );
+
+  const big = parseLevel({ id: "b", size: 5, target: 13 });
+  const rushed = checkLevel(big.level, { maxNodes: 5 });
+  assert.equal(rushed.solvable, null);
+});
+
+test("every level in the starter pack can be finished", () => {
+  const text = readFileSync(new URL("../levels/starter-pack.json", import.meta.url), "utf8");
+  const result = parsePack(text);
+  assert.equal(result.ok, true);
+  result.pack.levels.forEach((level) =>
+    assert.equal(checkLevel(level).solvable, true, level.id)
+  );
+});
@@ -0,0 +1,239 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createBroadcastTransport,
+  createLocalHub,
+  createNetSession,
+} from "../src/netplay.js";
+import { getQueenCoords } from "../src/rules.js";
+
+const COOP = { dims: [4, 4, 4], ruleSetId: "queen", mode: "coop", queens: [[0, 0, 0]] };
+const VERSUS = { dims: [4, 4, 4], ruleSetId: "queen", mode: "versus", queens: [] };
+
+// Lets every message in flight arrive.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function join(hub, peerId, events = []) {
+  return createNetSession(hub.connect(), {
+    peerId,
+    onStart: (game) => events.push(["start", game.mode]),
+    onOp: (op, from) => events.push(["op", op.kind, from]),
+    onReject: (op, reason) => events.push(["reject", reason]),
+  });
+}
+
+test("a guest gets the host's game and shares its board", async () => {
+  const hub = createLocalHub();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: COOP });
+  const events = [];
+  const guest = join(hub, "guest", events);
+  assert.equal(guest.board, null);
+  await settle();
+  assert.deepEqual(events, [["start", "coop"]]);
+  assert.deepEqual(getQueenCoords(guest.board), [[0, 0, 0]]);
+
+  guest.propose({ kind: "place", cell: [1, 2, 0] });
+  host.propose({ kind: "remove", cell: [0, 0, 0] });
+  await settle();
+  assert.deepEqual(getQueenCoords(host.board), [[1, 2, 0]]);
+  assert.deepEqual(guest.board, host.board);
+  assert.deepEqual(events.slice(1), [
+    ["op", "remove", "host"],
+    ["op", "place", "guest"],
+  ]);
+});
+
+test("a guest that joins late catches up on every op", async () => {
+  const hub = createLocalHub();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: COOP });
+  host.propose({ kind: "place", cell: [3, 1, 2] });
+  host.propose({ kind: "remove", cell: [0, 0, 0] });
+  const guest = join(hub, "late");
+  await settle();
+  assert.deepEqual(guest.board, host.board);
+});
+
+test("guests that start before the host find it once it opens", async () => {
+  const hub = createLocalHub();
+  const guest = join(hub, "early");
+  await settle();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: COOP });
+  await settle();
+  assert.deepEqual(guest.board, host.board);
+});
+
+test("of two clashing proposals the first to reach the host wins", async () => {
+  const hub = createLocalHub();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: COOP });
+  const [aEvents, bEvents] = [[], []];
+  const a = join(hub, "a", aEvents);
+  const b = join(hub, "b", bEvents);
+  await settle();
+  a.propose({ kind: "place", cell: [2, 2, 2] });
+  b.propose({ kind: "place", cell: [2, 2, 2] });
+  await settle();
+  assert.deepEqual(host.board, a.board);
+  assert.deepEqual(host.board, b.board);
+  assert.equal(host.board[2][2][2], true);
+  assert.deepEqual(aEvents.slice(1), [["op", "place", "a"]]);
+  assert.deepEqual(bEvents.slice(1), [
+    ["op", "place", "a"],
+    ["reject", "Someone got to that cell first"],
+  ]);
+});
+
+test("guests apply ops in the host's order however they arrive", () => {
+  let deliver = null;
+  const sent = [];
+  const transport = {
+    send: (message) => sent.push(message),
+    listen: (handler) => (deliver = handler),
+    close() {},
+  };
+  const applied = [];
+  const guest = createNetSession(transport, {
+    peerId: "guest",
+    onOp: (op) => applied.push(op.cell.join()),
+  });
+  assert.deepEqual(sent, [{ type: "hello", from: "guest" }]);
+
+  const op = (index, cell) => ({ type: "op", index, from: "host", op: { kind: "place", cell } });
+  deliver(op(1, [1, 2, 0]));
+  deliver({
+    type: "state",
+    to: "guest",
+    game: { ...COOP, queens: [] },
+    seats: [],
+    history: [],
+  });
+  assert.deepEqual(applied, []);
+  deliver(op(2, [3, 3, 1]));
+  deliver(op(0, [0, 0, 0]));
+  deliver(op(0, [0, 0, 0])); // A repeat changes nothing
+  assert.deepEqual(applied, ["0,0,0", "1,2,0", "3,3,1"]);
+  assert.equal(getQueenCoords(guest.board).length, 3);
+});
+
+test("malformed messages and proposals are dropped, not thrown on", async () => {
+  const hub = createLocalHub();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: COOP });
+  const events = [];
+  const guest = join(hub, "guest", events);
+  await settle();
+  const rogue = hub.connect();
+  [null, 7, "op", { type: "propose", from: "rogue", op: null }].forEach((message) =>
+    rogue.send(message)
+  );
+  rogue.send({ type: "propose", from: "rogue", op: { kind: "place", cell: [9, 0, 0] } });
+  rogue.send({ type: "op", index: "x", from: "rogue", op: null });
+  rogue.send({ type: "op", index: 0, from: "rogue", op: { kind: "place" } });
+  await settle();
+  guest.propose({ kind: "place", cell: [1, 2, 0] });
+  await settle();
+  assert.deepEqual(getQueenCoords(host.board), [
+    [0, 0, 0],
+    [1, 2, 0],
+  ]);
+  assert.deepEqual(guest.board, host.board);
+  assert.deepEqual(events, [
+    ["start", "coop"],
+    ["op", "place", "guest"],
+  ]);
+});
+
+test("guests ignore state messages that don't hold a game", () => {
+  let deliver = null;
+  const transport = { send() {}, listen: (handler) => (deliver = handler), close() {} };
+  const events = [];
+  const guest = createNetSession(transport, {
+    peerId: "guest",
+    onStart: (game) => events.push(game.mode),
+  });
+  const state = (overrides) => ({
+    type: "state",
+    to: "guest",
+    game: VERSUS,
+    seats: ["host", "guest"],
+    history: [],
+    ...overrides,
+  });
+  [
+    state({ game: null }),
+    state({ game: { ...COOP, dims: 5 } }),
+    state({ game: { ...COOP, dims: [4, 4, 1e9] } }),
+    state({ game: { ...COOP, queens: [[5, 0, 0]] } }),
+    state({ game: { ...COOP, queens: [[0, 0]] } }),
+    state({ game: { ...COOP, ruleSetId: "toString" } }),
+    state({ game: { ...COOP, mode: "race" } }),
+    state({ seats: "host" }),
+    state({ seats: ["host", 2] }),
+    state({ history: [{ from: "host", op: { kind: "place", cell: [0, 9, 0] } }] }),
+    state({ history: [null] }),
+  ].forEach((message) => deliver(message));
+  assert.deepEqual(events, []);
+  assert.equal(guest.game, null);
+
+  deliver(state({}));
+  assert.deepEqual(events, ["versus"]);
+  assert.equal(guest.seat, 1);
+});
+
+test("a hello without a sender can't take a seat", async () => {
+  const hub = createLocalHub();
+  createNetSession(hub.connect(), { peerId: "host", game: VERSUS });
+  const rogue = hub.connect();
+  const replies = [];
+  rogue.listen((message) => replies.push(message.type));
+  rogue.send({ type: "hello" });
+  rogue.send({ type: "hello", from: { id: 1 } });
+  await settle();
+  assert.deepEqual(replies, []);
+  const guest = join(hub, "guest");
+  await settle();
+  assert.equal(guest.seat, 1);
+});
+
+test("versus games keep turns, seats and the safe-cell rule", async () => {
+  const hub = createLocalHub();
+  const host = createNetSession(hub.connect(), { peerId: "host", game: VERSUS });
+  const events = [];
+  const guest = join(hub, "guest", events);
+  const onlooker = join(hub, "onlooker");
+  await settle();
+  assert.equal(host.seat, 0);
+  assert.equal(guest.seat, 1);
+  assert.equal(onlooker.seat, -1);
+
+  guest.propose({ kind: "place", cell: [1, 2, 0] });
+  await settle();
+  host.propose({ kind: "place", cell: [0, 0, 0] });
+  guest.propose({ kind: "place", cell: [1, 1, 1] }); // Attacked from [0, 0, 0]
+  guest.propose({ kind: "place", cell: [1, 2, 0] });
+  guest.propose({ kind: "remove", cell: [1, 2, 0] });
+  onlooker.propose({ kind: "place", cell: [3, 2, 1] });
+  await settle();
+  assert.deepEqual(
+    events.filter(([type]) => type === "reject").map(([, reason]) => reason),
+    [
+      "It's not your turn",
+      "That cell is under attack",
+      "No take-backs in a match",
+    ]
+  );
+  assert.deepEqual(host.match.counts, [1, 1]);
+  assert.equal(guest.match.owners[0][2][1], 1);
+  assert.deepEqual(onlooker.board, host.board);
+});
+
+test("the BroadcastChannel transport reaches other tabs in the room", async () => {
+  const a = createBroadcastTransport("test-room");
+  const b = createBroadcastTransport("test-room");
+  const other = createBroadcastTransport("other-room");
+  const received = [];
+  b.listen((message) => received.push(message));
+  other.listen((message) => received.push(message));
+  a.send({ type: "hello", from: "a" });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  [a, b, other].forEach((transport) => transport.close());
+  assert.deepEqual(received, [{ type: "hello", from: "a" }]);
+});
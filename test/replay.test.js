@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLevel } from "../src/levels.js";
+import {
+  FADE_TIME,
+  createReplay,
+  getReplayDuration,
+  getReplayFrame,
+  parseReplay,
+  recordChange,
+  serializeReplay,
+} from "../src/replay.js";
+import { createEmptyBoard, getQueenCoords } from "../src/rules.js";
+
+const LAYERS = { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
+
+function camera(angleY, distance = 12, hiddenLayers = LAYERS) {
+  return { angleX: 0.5, angleY, distance, hiddenLayers };
+}
+
+function sampleReplay() {
+  const board = createEmptyBoard(4);
+  board[0][0][0] = true;
+  const replay = createReplay({
+    dims: [4, 4, 4],
+    ruleSetId: "queen",
+    board,
+    camera: camera(0),
+    recordedAt: 1760000000000,
+  });
+  recordChange(replay, 1000, { added: [[1, 2, 0]], removed: [] }, camera(1));
+  recordChange(
+    replay,
+    3000,
+    { added: [], removed: [[0, 0, 0]] },
+    camera(2, 20, { ...LAYERS, maxZ: 1 })
+  );
+  return replay;
+}
+
+test("a replay keeps its starting board and every change in order", () => {
+  const replay = sampleReplay();
+  assert.deepEqual(replay.queens, [[0, 0, 0]]);
+  assert.deepEqual(replay.events.map((event) => event.t), [1000, 3000]);
+  assert.equal(getReplayDuration(replay), 3000);
+});
+
+test("recording copies what it is given", () => {
+  const replay = sampleReplay();
+  const view = camera(3);
+  const added = [[2, 2, 2]];
+  recordChange(replay, 4000, { added, removed: [] }, view);
+  added[0][0] = 3;
+  view.hiddenLayers.minX = 2;
+  const last = replay.events[2];
+  assert.deepEqual(last.added, [[2, 2, 2]]);
+  assert.equal(last.camera.hiddenLayers.minX, 0);
+});
+
+test("frames show the board as it stood at that time", () => {
+  const replay = sampleReplay();
+  assert.deepEqual(getQueenCoords(getReplayFrame(replay, 0).board), [[0, 0, 0]]);
+  const middle = getReplayFrame(replay, 2000);
+  assert.equal(middle.eventCount, 1);
+  assert.deepEqual(getQueenCoords(middle.board), [[0, 0, 0], [1, 2, 0]]);
+  assert.deepEqual(getQueenCoords(getReplayFrame(replay, 5000).board), [[1, 2, 0]]);
+});
+
+test("the camera glides between events while hidden layers switch", () => {
+  const replay = sampleReplay();
+  assert.equal(getReplayFrame(replay, 500).camera.angleY, 0.5);
+  const frame = getReplayFrame(replay, 2000);
+  assert.equal(frame.camera.angleY, 1.5);
+  assert.equal(frame.camera.distance, 16);
+  assert.equal(frame.camera.hiddenLayers.maxZ, 0);
+  assert.equal(getReplayFrame(replay, 3000).camera.hiddenLayers.maxZ, 1);
+  assert.equal(getReplayFrame(replay, 9000).camera.angleY, 2);
+});
+
+test("queens that just changed fade in or out", () => {
+  const replay = sampleReplay();
+  assert.deepEqual(getReplayFrame(replay, 1000 + FADE_TIME / 2).fading, [
+    { cell: [1, 2, 0], isAdded: true, progress: 0.5 },
+  ]);
+  assert.deepEqual(getReplayFrame(replay, 3000).fading, [
+    { cell: [0, 0, 0], isAdded: false, progress: 0 },
+  ]);
+  assert.deepEqual(getReplayFrame(replay, 1000 + FADE_TIME).fading, []);
+});
+
+test("replays survive a round trip through a file", () => {
+  const replay = sampleReplay();
+  const result = parseReplay(serializeReplay(replay));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.replay, replay);
+});
+
+test("a puzzle replay keeps the level it was played on", () => {
+  const { level } = parseLevel({ id: "corner", size: 4, target: 6, locked: [[0, 0, 0]] });
+  const replay = createReplay({
+    dims: level.dims,
+    ruleSetId: level.ruleSetId,
+    puzzle: level,
+    board: createEmptyBoard(4),
+    camera: camera(0),
+    recordedAt: 0,
+  });
+  const { replay: loaded } = parseReplay(serializeReplay(replay));
+  assert.deepEqual(parseLevel(loaded.puzzle).level, level);
+});
+
+test("a puzzle that isn't the recorded board is rejected", () => {
+  const { level } = parseLevel({ id: "corner", size: 4, target: 6, locked: [[0, 0, 0]] });
+  const replay = createReplay({
+    dims: [5, 5, 5],
+    ruleSetId: "rook",
+    puzzle: level,
+    board: createEmptyBoard(5),
+    camera: camera(0),
+    recordedAt: 1760000000000,
+  });
+  assert.deepEqual(parseReplay(serializeReplay(replay)).errors, [
+    'Puzzle: the size differs from "dims"',
+    'Puzzle: the rule set differs from "ruleSetId"',
+  ]);
+});
+
+test("rule set names from the object prototype are unknown", () => {
+  const replay = sampleReplay();
+  replay.ruleSetId = "toString";
+  assert.deepEqual(parseReplay(serializeReplay(replay)).errors, [
+    'Unknown rule set "toString"',
+  ]);
+});
+
+test("broken replay files are rejected with reasons", () => {
+  assert.equal(parseReplay("{").ok, false);
+  assert.deepEqual(parseReplay('{"version": 7}').errors, ["Not a version 1 replay"]);
+
+  const replay = sampleReplay();
+  replay.ruleSetId = "dragon";
+  replay.events[0].t = 5000;
+  replay.events[1].added = [[4, 0, 0]];
+  delete replay.events[1].camera.distance;
+  assert.deepEqual(parseReplay(serializeReplay(replay)).errors, [
+    'Unknown rule set "dragon"',
+    "Event 2: times must count up from 0",
+    'Event 2: "added" and "removed" must be cells on the board',
+    "Event 2: not a camera",
+  ]);
+});
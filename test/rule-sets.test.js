@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAttackTracker } from "../src/attack-tracker.js";
+import {
+  RULE_SETS,
+  getAttackedCells,
+  getRuleSet,
+  getGreedyCount,
+  getRuleSetTarget,
+  isAttacking,
+} from "../src/rule-sets.js";
+import { findConflicts, isQueenAttacking, toDims } from "../src/rules.js";
+
+function forEachCell(size, fn) {
+  const [X, Y, Z] = toDims(size);
+  for (let z = 0; z < Z; z++)
+    for (let y = 0; y < Y; y++) for (let x = 0; x < X; x++) fn(x, y, z);
+}
+
+test("the queen rule set matches isQueenAttacking", () => {
+  const N = 4;
+  forEachCell(N, (x, y, z) =>
+    forEachCell(N, (a, b, c) =>
+      assert.equal(
+        isAttacking(RULE_SETS.queen, N, x, y, z, a, b, c),
+        isQueenAttacking(x, y, z, a, b, c)
+      )
+    )
+  );
+});
+
+test("rooks only attack along the axes, bishops only along diagonals", () => {
+  const { rook, bishop } = RULE_SETS;
+  assert.equal(isAttacking(rook, 4, 0, 0, 0, 3, 0, 0), true);
+  assert.equal(isAttacking(rook, 4, 0, 0, 0, 1, 1, 0), false);
+  assert.equal(isAttacking(bishop, 4, 0, 0, 0, 1, 1, 0), true);
+  assert.equal(isAttacking(bishop, 4, 0, 0, 0, 2, 2, 2), true);
+  assert.equal(isAttacking(bishop, 4, 0, 0, 0, 0, 0, 3), false);
+});
+
+test("planar queens ignore the space diagonals", () => {
+  const { planarQueen } = RULE_SETS;
+  assert.equal(isAttacking(planarQueen, 4, 0, 0, 0, 0, 2, 2), true);
+  assert.equal(isAttacking(planarQueen, 4, 0, 0, 0, 2, 2, 2), false);
+});
+
+test("knights leap and nothing else", () => {
+  const { knight } = RULE_SETS;
+  assert.equal(isAttacking(knight, 4, 0, 0, 0, 1, 2, 0), true);
+  assert.equal(isAttacking(knight, 4, 0, 0, 0, 0, 1, 2), true);
+  assert.equal(isAttacking(knight, 4, 0, 0, 0, 1, 1, 0), false);
+  assert.equal(isAttacking(knight, 4, 0, 0, 0, 3, 0, 0), false);
+});
+
+test("torus queens wrap around the edges", () => {
+  const { queen, torusQueen } = RULE_SETS;
+  // (3, 1) is one diagonal step from (0, 0) once the board wraps.
+  assert.equal(isAttacking(queen, 4, 0, 0, 0, 3, 1, 0), false);
+  assert.equal(isAttacking(torusQueen, 4, 0, 0, 0, 3, 1, 0), true);
+});
+
+test("every rule set attacks symmetrically and never its own cell", () => {
+  [[3, 3, 3], [2, 3, 4]].forEach((dims) =>
+    Object.values(RULE_SETS).forEach((ruleSet) =>
+      forEachCell(dims, (x, y, z) => {
+        const index = x + dims[0] * (y + dims[1] * z);
+        assert.equal(getAttackedCells(ruleSet, dims, x, y, z).includes(index), false);
+        forEachCell(dims, (a, b, c) =>
+          assert.equal(
+            isAttacking(ruleSet, dims, x, y, z, a, b, c),
+            isAttacking(ruleSet, dims, a, b, c, x, y, z),
+            `${ruleSet.id} ${x},${y},${z} ${a},${b},${c}`
+          )
+        );
+      })
+    )
+  );
+});
+
+test("a torus line on a box wraps until it returns to the piece", () => {
+  // Along (1, 1, 0) on a 2×3 face the line visits all six cells.
+  const cells = getAttackedCells(RULE_SETS.torusQueen, [2, 3, 1], 0, 0, 0);
+  assert.equal(cells.length, 5);
+});
+
+test("targets are reachable by the greedy placement or known exactly", () => {
+  assert.equal(getRuleSetTarget(RULE_SETS.rook, 4), 16);
+  assert.equal(getRuleSetTarget(RULE_SETS.knight, 4), 32);
+  assert.equal(getRuleSetTarget(RULE_SETS.rook, [3, 8, 5]), 15);
+  assert.equal(getRuleSetTarget(RULE_SETS.knight, [1, 1, 5]), 5);
+  assert.ok(getGreedyCount(RULE_SETS.bishop, 4) <= getRuleSetTarget(RULE_SETS.bishop, 4));
+});
+
+test("the tracker follows the rule set it was built with", () => {
+  const N = 4;
+  Object.values(RULE_SETS).forEach((ruleSet) => {
+    const tracker = createAttackTracker(N, ruleSet);
+    const queens = [[0, 0, 0], [1, 2, 0], [3, 1, 2], [2, 3, 3]];
+    queens.forEach((q) => tracker.add(...q));
+    forEachCell(N, (x, y, z) => {
+      const expected = queens.filter((q) => isAttacking(ruleSet, N, x, y, z, ...q)).length;
+      assert.equal(tracker.attackCount(x, y, z), expected, `${ruleSet.id} ${x},${y},${z}`);
+    });
+    const conflicts = findConflicts(queens, (...cells) => isAttacking(ruleSet, N, ...cells));
+    assert.equal(tracker.conflicts().length, conflicts.size, ruleSet.id);
+  });
+});
+
+test("unknown and prototype ids fall back to the queen rule set", () => {
+  assert.equal(getRuleSet("knight"), RULE_SETS.knight);
+  assert.equal(getRuleSet("dragon"), RULE_SETS.queen);
+  assert.equal(getRuleSet("toString"), RULE_SETS.queen);
+  assert.equal(getRuleSet("__proto__"), RULE_SETS.queen);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createEmptyBoard,
+  findConflicts,
+  getBoardDims,
+  getLevelTarget,
+  getLevelTargetInfo,
+  getQueenCoords,
+  getSizeName,
+  getUnlockState,
+  isCube,
+  isNewBest,
+  isQueenAttacking,
+  toDims,
+} from "../src/rules.js";
+
+test("a queen does not attack its own cell", () => {
+  assert.equal(isQueenAttacking(2, 2, 2, 2, 2, 2), false);
+});
+
+test("queens attack along the three axes", () => {
+  assert.equal(isQueenAttacking(0, 3, 3, 5, 3, 3), true);
+  assert.equal(isQueenAttacking(3, 0, 3, 3, 5, 3), true);
+  assert.equal(isQueenAttacking(3, 3, 0, 3, 3, 5), true);
+});
+
+test("queens attack along the six face diagonals", () => {
+  assert.equal(isQueenAttacking(0, 0, 4, 3, 3, 4), true); // XY plane
+  assert.equal(isQueenAttacking(0, 4, 0, 3, 4, 3), true); // XZ plane
+  assert.equal(isQueenAttacking(4, 0, 0, 4, 3, 3), true); // YZ plane
+  assert.equal(isQueenAttacking(0, 3, 4, 3, 0, 4), true); // Anti-diagonal
+});
+
+test("queens attack along the four space diagonals", () => {
+  assert.equal(isQueenAttacking(0, 0, 0, 3, 3, 3), true);
+  assert.equal(isQueenAttacking(3, 0, 0, 0, 3, 3), true);
+  assert.equal(isQueenAttacking(0, 3, 0, 3, 0, 3), true);
+  assert.equal(isQueenAttacking(0, 0, 3, 3, 3, 0), true);
+});
+
+test("queens off every line do not attack", () => {
+  assert.equal(isQueenAttacking(0, 0, 0, 1, 2, 0), false); // Knight's move
+  assert.equal(isQueenAttacking(0, 0, 0, 1, 1, 2), false);
+  assert.equal(isQueenAttacking(0, 0, 0, 1, 2, 3), false);
+});
+
+test("attacks are symmetric", () => {
+  for (let i = 0; i < 200; i++) {
+    const a = [0, 0, 0].map(() => Math.floor(Math.random() * 6));
+    const b = [0, 0, 0].map(() => Math.floor(Math.random() * 6));
+    assert.equal(isQueenAttacking(...a, ...b), isQueenAttacking(...b, ...a));
+  }
+});
+
+test("findConflicts reports every queen involved in an attack", () => {
+  const coords = [
+    [0, 0, 0],
+    [2, 2, 2], // Attacked by [0, 0, 0] along the space diagonal
+    [1, 0, 2], // Safe from both
+  ];
+  assert.deepEqual([...findConflicts(coords)].sort(), [0, 1]);
+  assert.equal(findConflicts([[0, 0, 0], [1, 0, 2]]).size, 0);
+  assert.equal(findConflicts([]).size, 0);
+});
+
+test("createEmptyBoard and getQueenCoords round-trip placements", () => {
+  const board = createEmptyBoard(3);
+  assert.equal(board.length, 3);
+  assert.ok(board.every((layer) => layer.length === 3));
+  assert.deepEqual(getQueenCoords(board), []);
+  board[2][1][0] = true;
+  assert.deepEqual(getQueenCoords(board), [[0, 1, 2]]);
+});
+
+test("boards can have a different length along each axis", () => {
+  const board = createEmptyBoard(2, 3, 4);
+  assert.deepEqual(getBoardDims(board), [2, 3, 4]);
+  assert.deepEqual(toDims(5), [5, 5, 5]);
+  assert.equal(isCube([2, 3, 4]), false);
+  assert.equal(getSizeName([4, 4, 4]), "4");
+  assert.equal(getSizeName([4, 4, 8]), "4x4x8");
+});
+
+test("getLevelTarget uses the verified table, then falls back to N²/2", () => {
+  assert.equal(getLevelTarget(4), 7);
+  assert.equal(getLevelTargetInfo(4).status, "proven");
+  assert.equal(getLevelTarget(5), 13);
+  const guess = getLevelTargetInfo(40);
+  assert.equal(guess.value, 800);
+  assert.equal(guess.status, "heuristic");
+  assert.equal(guess.certificate, null);
+});
+
+test("isNewBest only counts conflict-free improvements", () => {
+  assert.equal(isNewBest(5, 0, 4), true);
+  assert.equal(isNewBest(4, 0, 4), false);
+  assert.equal(isNewBest(6, 2, 4), false);
+});
+
+test("a level unlocks when the target is met without conflicts", () => {
+  const state = getUnlockState("none", { queenCount: 4, conflictCount: 0, target: 4 });
+  assert.deepEqual(state, {
+    status: "perfect",
+    levelCompleted: true,
+    message: "Perfect! Target Reached!",
+  });
+});
+
+test("beating the target announces a new record", () => {
+  const state = getUnlockState("none", { queenCount: 5, conflictCount: 0, target: 4 });
+  assert.equal(state.message, "New Record! 5 Queens!");
+});
+
+test("beating a lower bound beats the best known board", () => {
+  const state = getUnlockState("none", {
+    queenCount: 5,
+    conflictCount: 0,
+    target: 4,
+    targetStatus: "lowerBound",
+  });
+  assert.match(state.message, /beats the best known board/);
+});
+
+test("staying unlocked does not repeat the message", () => {
+  const state = getUnlockState("perfect", { queenCount: 5, conflictCount: 0, target: 4 });
+  assert.equal(state.status, "perfect");
+  assert.equal(state.levelCompleted, true);
+  assert.equal(state.message, null);
+});
+
+test("a conflict or a missing queen locks the level again", () => {
+  const locked = { status: "none", levelCompleted: false, message: null };
+  assert.deepEqual(
+    getUnlockState("perfect", { queenCount: 5, conflictCount: 2, target: 4 }),
+    locked
+  );
+  assert.deepEqual(
+    getUnlockState("perfect", { queenCount: 3, conflictCount: 0, target: 4 }),
+    locked
+  );
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countSolutions, solveBoard } from "../src/solver.js";
+import { createEmptyBoard, findConflicts, getQueenCoords } from "../src/rules.js";
+
+test("fills an empty board up to the target without conflicts", () => {
+  const result = solveBoard(createEmptyBoard(5), 12);
+  assert.equal(result.status, "solved");
+  const coords = getQueenCoords(result.board);
+  assert.equal(coords.length, 12);
+  assert.equal(findConflicts(coords).size, 0);
+});
+
+test("keeps the queens already placed", () => {
+  const board = createEmptyBoard(4);
+  board[1][2][3] = true;
+  const result = solveBoard(board, 6);
+  assert.equal(result.status, "solved");
+  assert.equal(result.board[1][2][3], true);
+});
+
+test("solves boxes that aren't cubes", () => {
+  const board = createEmptyBoard(2, 4, 6);
+  const result = solveBoard(board, 6);
+  assert.equal(result.status, "solved");
+  assert.equal(result.board.length, 6);
+  assert.equal(result.board[0].length, 4);
+  assert.equal(result.board[0][0].length, 2);
+  assert.equal(findConflicts(getQueenCoords(result.board)).size, 0);
+});
+
+test("reports an unreachable target with the best placement found", () => {
+  const result = solveBoard(createEmptyBoard(2), 2);
+  assert.equal(result.status, "unreachable");
+  assert.equal(result.best, 1);
+  assert.equal(getQueenCoords(result.board).length, 1);
+});
+
+test("never places a piece on a blocked cell", () => {
+  const blocked = [[0, 0, 0], [1, 1, 1], [2, 2, 2]];
+  const result = solveBoard(createEmptyBoard(3), 4, { blocked });
+  assert.equal(result.status, "solved");
+  blocked.forEach(([x, y, z]) => assert.equal(result.board[z][y][x], false));
+
+  const board = createEmptyBoard(3);
+  board[0][0][0] = true;
+  assert.equal(solveBoard(board, 2, { blocked }).status, "conflict");
+});
+
+test("refuses boards whose queens already attack each other", () => {
+  const board = createEmptyBoard(3);
+  board[0][0][0] = true;
+  board[0][0][2] = true;
+  assert.equal(solveBoard(board, 4).status, "conflict");
+});
+
+test("counts every way to reach the target, up to the limit", () => {
+  const board = createEmptyBoard(2);
+  assert.equal(countSolutions(board, 1, { limit: 100 }).count, 8);
+  const capped = countSolutions(board, 1);
+  assert.equal(capped.status, "counted");
+  assert.equal(capped.count, 2);
+  assert.equal(getQueenCoords(capped.board).length, 1);
+
+  const blocked = [[1, 0, 0], [0, 1, 0], [1, 1, 0], [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]];
+  assert.equal(countSolutions(board, 1, { blocked }).count, 1);
+  assert.equal(countSolutions(board, 2).count, 0);
+});
+
+test("a count cut short by maxNodes says so", () => {
+  const result = countSolutions(createEmptyBoard(5), 13, { limit: 1000, maxNodes: 50 });
+  assert.equal(result.status, "stopped");
+});
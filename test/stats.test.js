@@ -0,0 +1,160 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  IDLE_LIMIT,
+  createEmptyStats,
+  getLevelStats,
+  getStreaks,
+  getTotals,
+  mergeStats,
+  recordCompletion,
+  recordHint,
+  recordPlacement,
+  recordPlayTime,
+  recordRemoval,
+  unlockAchievements,
+} from "../src/stats.js";
+
+const DAY = "2026-10-19";
+
+function session(overrides = {}) {
+  return {
+    dims: [6, 6, 6],
+    ruleSetId: "queen",
+    isPuzzle: false,
+    timeMs: 300000,
+    usedAssist: false,
+    usedHints: false,
+    usedSolver: false,
+    hadConflict: true,
+    ...overrides,
+  };
+}
+
+const ids = (achievements) => achievements.map(({ id }) => id);
+
+test("moves, hints and play time add up per level and per day", () => {
+  const stats = createEmptyStats();
+  recordPlacement(stats, "6", DAY, { isConflict: false, withAssist: true });
+  recordPlacement(stats, "6", DAY, { isConflict: true, withAssist: false });
+  recordRemoval(stats, "6", DAY);
+  recordHint(stats, "6", DAY);
+  recordPlayTime(stats, "6", DAY, 4000);
+  recordPlacement(stats, "rook:4", "2026-10-20", { isConflict: false, withAssist: false });
+
+  const level = getLevelStats(stats, "6");
+  assert.deepEqual(
+    [level.placements, level.conflicts, level.assistPlacements, level.removals, level.hints],
+    [2, 1, 1, 1, 1]
+  );
+  assert.equal(level.timeMs, 4000);
+  assert.deepEqual(stats.days[DAY], { timeMs: 4000, placements: 2, completions: 0 });
+  assert.equal(getTotals(stats).placements, 3);
+  assert.equal(getLevelStats(stats, "7").placements, 0);
+});
+
+test("a long pause only counts up to the idle limit", () => {
+  const stats = createEmptyStats();
+  recordPlayTime(stats, "4", DAY, IDLE_LIMIT * 5);
+  recordPlayTime(stats, "4", DAY, -50);
+  assert.equal(getLevelStats(stats, "4").timeMs, IDLE_LIMIT);
+});
+
+test("completions count clean runs apart", () => {
+  const stats = createEmptyStats();
+  recordCompletion(stats, "6", DAY, session(), 1);
+  recordCompletion(stats, "6", DAY, session({ hadConflict: false }), 2);
+  const level = getLevelStats(stats, "6");
+  assert.equal(level.completions, 2);
+  assert.equal(level.cleanCompletions, 1);
+  assert.equal(stats.days[DAY].completions, 2);
+});
+
+test("streaks count days in a row with a placement", () => {
+  const days = {};
+  ["2026-02-27", "2026-02-28", "2026-03-01", "2026-03-05", "2026-03-06"].forEach(
+    (key) => (days[key] = { timeMs: 0, placements: 1, completions: 0 })
+  );
+  days["2026-03-07"] = { timeMs: 100, placements: 0, completions: 0 };
+  assert.deepEqual(getStreaks(days, "2026-03-06"), { current: 2, best: 3 });
+  assert.deepEqual(getStreaks(days, "2026-03-07"), { current: 2, best: 3 });
+  assert.deepEqual(getStreaks(days, "2026-03-08"), { current: 0, best: 3 });
+  assert.deepEqual(getStreaks({}, DAY), { current: 0, best: 0 });
+});
+
+test("achievements unlock once, when their condition is met", () => {
+  const stats = createEmptyStats();
+  const first = recordCompletion(stats, "6", DAY, session({ usedAssist: true }), 10);
+  assert.deepEqual(ids(first), ["first-target"]);
+  const second = recordCompletion(stats, "6", DAY, session({ hadConflict: false }), 20);
+  assert.deepEqual(ids(second), ["six-unassisted", "clean-solve"]);
+  assert.equal(stats.achievements["first-target"], 10);
+  assert.deepEqual(recordCompletion(stats, "6", DAY, session({ hadConflict: false }), 30), []);
+});
+
+test("helped runs don't count for the unassisted achievements", () => {
+  const stats = createEmptyStats();
+  const eight = session({ dims: [8, 8, 8], usedHints: true });
+  assert.equal(ids(recordCompletion(stats, "8", DAY, eight, 1)).includes("eight-alone"), false);
+  const puzzle = session({ isPuzzle: true });
+  assert.equal(
+    ids(recordCompletion(stats, "puzzle:six", DAY, puzzle, 2)).includes("six-unassisted"),
+    false
+  );
+});
+
+test("a target the solver reached earns nothing for the solve", () => {
+  const stats = createEmptyStats();
+  const solved = session({ dims: [5, 5, 5], timeMs: 1000, usedSolver: true, hadConflict: false });
+  assert.deepEqual(ids(recordCompletion(stats, "5", DAY, solved, 1)), []);
+  assert.equal(getLevelStats(stats, "5").completions, 1);
+  assert.equal(getLevelStats(stats, "5").cleanCompletions, 0);
+});
+
+test("hints rule out the unassisted N=6 achievement", () => {
+  const stats = createEmptyStats();
+  const hinted = session({ usedHints: true, hadConflict: false });
+  assert.deepEqual(ids(recordCompletion(stats, "6", DAY, hinted, 1)), [
+    "first-target",
+    "clean-solve",
+  ]);
+});
+
+test("totals, rule sets and streaks unlock achievements outside completions", () => {
+  const stats = createEmptyStats();
+  for (let i = 0; i < 100; i++) {
+    recordPlacement(stats, "5", DAY, { isConflict: false, withAssist: false });
+  }
+  ["2026-10-17", "2026-10-18"].forEach((key) =>
+    recordPlacement(stats, "5", key, { isConflict: false, withAssist: false })
+  );
+  assert.deepEqual(ids(unlockAchievements(stats, DAY)), [
+    "hundred-queens",
+    "three-day-streak",
+  ]);
+  ["queen", "rook", "knight"].forEach((ruleSetId, i) =>
+    recordCompletion(stats, ruleSetId === "queen" ? "4" : `${ruleSetId}:4`, DAY, session({ ruleSetId }), i)
+  );
+  assert.ok(stats.achievements["three-rule-sets"] !== undefined);
+});
+
+test("merging keeps the higher counts and the earliest unlocks", () => {
+  const a = createEmptyStats();
+  const b = createEmptyStats();
+  recordPlacement(a, "4", DAY, { isConflict: false, withAssist: false });
+  recordPlacement(a, "4", DAY, { isConflict: false, withAssist: false });
+  recordHint(b, "4", DAY);
+  recordRemoval(b, "5", DAY);
+  a.achievements["first-target"] = 50;
+  b.achievements["first-target"] = 20;
+  b.achievements["clean-solve"] = 30;
+
+  const merged = mergeStats(a, b);
+  const level = getLevelStats(merged, "4");
+  assert.equal(level.placements, 2);
+  assert.equal(level.hints, 1);
+  assert.equal(getLevelStats(merged, "5").removals, 1);
+  assert.deepEqual(merged.days[DAY], { timeMs: 0, placements: 2, completions: 0 });
+  assert.deepEqual(merged.achievements, { "first-target": 20, "clean-solve": 30 });
+  assert.deepEqual(mergeStats(undefined, null), createEmptyStats());
+});
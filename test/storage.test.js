@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createGameStore,
+  createLocalBackend,
+  mergeSaveData,
+} from "../src/storage.js";
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+  };
+}
+
+test("merging keeps the higher best for each size", () => {
+  const merged = mergeSaveData(
+    { scores: { 3: 4, 4: 5 } },
+    { scores: { 4: 7, 5: 9 } }
+  );
+  assert.deepEqual(merged.scores, { 3: 4, 4: 7, 5: 9 });
+});
+
+test("merging keeps the higher hint count for each size", () => {
+  const merged = mergeSaveData({ hints: { 4: 2, 5: 1 } }, { hints: { 4: 1, 6: 3 } });
+  assert.deepEqual(merged.hints, { 4: 2, 5: 1, 6: 3 });
+});
+
+test("merging keeps the fastest timed and daily results", () => {
+  const merged = mergeSaveData(
+    { times: { 4: 30000, 5: 90000 }, daily: { "2026-10-19": 42000 } },
+    { times: { 4: 25000 }, daily: { "2026-10-19": 50000, "2026-10-20": 61000 } }
+  );
+  assert.deepEqual(merged.times, { 4: 25000, 5: 90000 });
+  assert.deepEqual(merged.daily, { "2026-10-19": 42000, "2026-10-20": 61000 });
+});
+
+test("merging keeps statistics from both copies", () => {
+  const merged = mergeSaveData(
+    { stats: { levels: { 4: { placements: 9 } }, achievements: { "first-target": 5 } } },
+    { stats: { levels: { 4: { placements: 3, hints: 2 } } } }
+  );
+  assert.equal(merged.stats.levels[4].placements, 9);
+  assert.equal(merged.stats.levels[4].hints, 2);
+  assert.deepEqual(merged.stats.achievements, { "first-target": 5 });
+  assert.deepEqual(mergeSaveData(null, null).stats.levels, {});
+});
+
+test("merging pools distinct solutions with the most queens", () => {
+  const merged = mergeSaveData(
+    { solutions: { 4: { queens: 7, keys: ["a", "b"] }, 5: { queens: 12, keys: ["c"] } } },
+    { solutions: { 4: { queens: 7, keys: ["b", "d"] }, 5: { queens: 13, keys: ["e"] } } }
+  );
+  assert.deepEqual(merged.solutions, {
+    4: { queens: 7, keys: ["a", "b", "d"] },
+    5: { queens: 13, keys: ["e"] },
+  });
+});
+
+test("merging keeps the newest autosave, slot and constellation", () => {
+  const merged = mergeSaveData(
+    {
+      autosaves: { 3: { board: "old", savedAt: 1 } },
+      saveSlots: [{ id: "a", name: "mine", savedAt: 5 }],
+      constellations: [{ name: "star", board: "new", savedAt: 9 }],
+    },
+    {
+      autosaves: { 3: { board: "new", savedAt: 2 } },
+      saveSlots: [{ id: "a", name: "theirs", savedAt: 3 }],
+      constellations: [{ name: "star", board: "old", savedAt: 1 }],
+    }
+  );
+  assert.equal(merged.autosaves[3].board, "new");
+  assert.equal(merged.saveSlots[0].name, "mine");
+  assert.equal(merged.constellations[0].board, "new");
+});
+
+test("an old lastSession becomes that level's autosave", () => {
+  const merged = mergeSaveData(
+    { lastSession: { level: 4, board: "[]", savedAt: 3 } },
+    null
+  );
+  assert.equal(merged.autosaves[4].board, "[]");
+  assert.equal("lastSession" in merged, false);
+});
+
+test("the local backend survives a reload", async () => {
+  const storage = createMemoryStorage();
+  await createLocalBackend("save", storage).save({ scores: { 2: 1 } });
+  assert.deepEqual(await createLocalBackend("save", storage).load(), {
+    scores: { 2: 1 },
+  });
+});
+
+test("attaching a remote merges both copies and writes them back", async () => {
+  const local = createLocalBackend("save", createMemoryStorage());
+  await local.save({ scores: { 3: 4 } });
+  let remoteData = { scores: { 3: 2, 6: 10 } };
+  const remote = {
+    load: async () => remoteData,
+    save: async (data) => {
+      remoteData = data;
+    },
+  };
+
+  const store = createGameStore(local);
+  const merged = await store.attachRemote(remote);
+  assert.deepEqual(merged.scores, { 3: 4, 6: 10 });
+  assert.deepEqual(remoteData.scores, { 3: 4, 6: 10 });
+  assert.deepEqual((await local.load()).scores, { 3: 4, 6: 10 });
+});
+
+test("a remote that can't be read is left detached", async () => {
+  const local = createLocalBackend("save", createMemoryStorage());
+  await local.save({ scores: { 3: 4 } });
+  let saved = false;
+  const remote = {
+    load: async () => {
+      throw new Error("offline");
+    },
+    save: async () => {
+      saved = true;
+    },
+  };
+  const store = createGameStore(local);
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await store.attachRemote(remote);
+    await store.save({ scores: { 3: 5 } });
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(saved, false);
+});
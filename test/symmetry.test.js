@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBoard } from "../src/board-format.js";
+import { RULE_SETS, isAttacking } from "../src/rule-sets.js";
+import { findConflicts, getBoardDims, getQueenCoords } from "../src/rules.js";
+import {
+  addDistinctSolution,
+  getCanonicalKey,
+  getSymmetries,
+  reflectBoard,
+  rotateBoard,
+  transformBoard,
+} from "../src/symmetry.js";
+import { TARGET_TABLE } from "../src/target-table.js";
+
+test("a cube has 48 symmetries, other boxes fewer", () => {
+  assert.equal(getSymmetries(4).length, 48);
+  assert.equal(getSymmetries([4, 4, 8]).length, 16);
+  assert.equal(getSymmetries([2, 3, 4]).length, 8);
+});
+
+test("four quarter turns or two reflections change nothing", () => {
+  const { board } = parseBoard("4:0,1,2;3,0,0;2,2,3");
+  ["X", "Y", "Z"].forEach((axis) => {
+    assert.deepEqual(rotateBoard(board, axis, 4), board);
+    assert.deepEqual(rotateBoard(rotateBoard(board, axis, 1), axis, -1), board);
+    assert.deepEqual(reflectBoard(reflectBoard(board, axis), axis), board);
+  });
+});
+
+test("a quarter turn about Z takes X to Y", () => {
+  const { board } = parseBoard("3:2,0,1");
+  assert.deepEqual(getQueenCoords(rotateBoard(board, "Z")), [[2, 2, 1]]);
+});
+
+test("turning a box swaps its edges", () => {
+  const { board } = parseBoard("2x3x4:1,2,3");
+  const turned = rotateBoard(board, "X");
+  assert.deepEqual(getBoardDims(turned), [2, 4, 3]);
+  assert.deepEqual(getQueenCoords(turned), [[1, 0, 2]]);
+});
+
+test("every symmetry maps a solution to a solution", () => {
+  const { board } = parseBoard(TARGET_TABLE[5].certificate);
+  Object.values(RULE_SETS).forEach((ruleSet) => {
+    const before = findConflicts(getQueenCoords(board), (...cells) =>
+      isAttacking(ruleSet, 5, ...cells)
+    ).size;
+    getSymmetries(5).forEach((symmetry) => {
+      const coords = getQueenCoords(transformBoard(board, symmetry));
+      const after = findConflicts(coords, (...cells) =>
+        isAttacking(ruleSet, 5, ...cells)
+      ).size;
+      assert.equal(after, before, ruleSet.id);
+    });
+  });
+});
+
+test("boards related by a symmetry share a canonical key", () => {
+  const { board } = parseBoard(TARGET_TABLE[4].certificate);
+  const key = getCanonicalKey(board);
+  getSymmetries(4).forEach((symmetry) =>
+    assert.equal(getCanonicalKey(transformBoard(board, symmetry)), key)
+  );
+  assert.notEqual(
+    getCanonicalKey(parseBoard("4:0,0,0").board),
+    getCanonicalKey(parseBoard("4:1,1,1").board)
+  );
+  assert.equal(
+    getCanonicalKey(parseBoard("4:0,0,0").board),
+    getCanonicalKey(parseBoard("4:3,0,3").board)
+  );
+});
+
+test("distinct solutions are kept per queen count", () => {
+  let record = addDistinctSolution(undefined, "a", 7);
+  assert.deepEqual(record, { queens: 7, keys: ["a"] });
+  record = addDistinctSolution(record, "b", 7);
+  assert.equal(addDistinctSolution(record, "b", 7), record);
+  assert.equal(addDistinctSolution(record, "c", 6), record);
+  assert.deepEqual(record.keys, ["a", "b"]);
+  assert.deepEqual(addDistinctSolution(record, "d", 8), { queens: 8, keys: ["d"] });
+});
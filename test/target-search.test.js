@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBoard } from "../src/board-format.js";
+import { findConflicts, getQueenCoords } from "../src/rules.js";
+import { TARGET_TABLE } from "../src/target-table.js";
+import {
+  findPlanePlacement,
+  getUpperBound,
+  verifyTarget,
+} from "../src/target-search.js";
+
+test("the upper bound is N² only when gcd(N, 210) = 1", () => {
+  assert.equal(getUpperBound(1), 1);
+  assert.equal(getUpperBound(3), 6);
+  assert.equal(getUpperBound(4), 15);
+  assert.equal(getUpperBound(11), 121);
+  assert.equal(getUpperBound(12), 143);
+});
+
+test("the plane construction reaches N² when it is possible", () => {
+  const { board, count } = findPlanePlacement(11);
+  assert.equal(count, 121);
+  assert.equal(findConflicts(getQueenCoords(board)).size, 0);
+});
+
+test("exhaustive search proves small sizes", () => {
+  const result = verifyTarget(4);
+  assert.deepEqual(
+    { value: result.value, upper: result.upper, status: result.status },
+    { value: 7, upper: 7, status: "proven" }
+  );
+  assert.equal(getQueenCoords(result.board).length, 7);
+});
+
+test("a search that runs out of nodes only claims a lower bound", () => {
+  const result = verifyTarget(6, { maxNodes: 1000 });
+  assert.equal(result.status, "lowerBound");
+  assert.ok(result.value < result.upper);
+});
+
+test("every table entry carries a valid certificate and bound", () => {
+  Object.entries(TARGET_TABLE).forEach(([N, entry]) => {
+    const parsed = parseBoard(entry.certificate);
+    assert.equal(parsed.ok, true, `size ${N}`);
+    assert.deepEqual(parsed.dims, [+N, +N, +N]);
+    const coords = getQueenCoords(parsed.board);
+    assert.equal(coords.length, entry.value, `size ${N}`);
+    assert.equal(findConflicts(coords).size, 0, `size ${N}`);
+    assert.ok(entry.upper <= getUpperBound(+N), `size ${N}`);
+    assert.equal(entry.status === "proven", entry.value === entry.upper);
+  });
+});
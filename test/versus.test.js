@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RULE_SETS } from "../src/rule-sets.js";
+import { AI_LEVELS, chooseAiMove, createMatch } from "../src/versus.js";
+
+// Whether the player to move can win on the spot from `match`'s position.
+function hasWinningMove(match) {
+  return match.safeCells().some((cell) => {
+    const next = replay(match);
+    next.play(cell);
+    return next.winner !== null;
+  });
+}
+
+function replay(match) {
+  const copy = createMatch(match.dims, match.ruleSet);
+  match.moves.forEach(({ cell }) => copy.play(cell));
+  return copy;
+}
+
+test("players take turns and own the queens they place", () => {
+  const match = createMatch(4);
+  assert.equal(match.turn, 0);
+  assert.equal(match.play([0, 0, 0]), true);
+  assert.equal(match.turn, 1);
+  assert.equal(match.play([1, 2, 0]), true);
+  assert.equal(match.owners[0][0][0], 0);
+  assert.equal(match.owners[0][2][1], 1);
+  assert.equal(match.owners[1][1][1], null);
+  assert.deepEqual(match.counts, [1, 1]);
+  assert.deepEqual(match.moves.map((move) => move.player), [0, 1]);
+});
+
+test("a queen can't go on an attacked or occupied cell", () => {
+  const match = createMatch(4);
+  match.play([0, 0, 0]);
+  assert.equal(match.play([0, 0, 0]), false);
+  assert.equal(match.play([3, 3, 3]), false); // Space diagonal
+  assert.equal(match.turn, 1);
+  assert.equal(match.isSafe(1, 2, 0), true);
+  assert.deepEqual(match.counts, [1, 0]);
+});
+
+test("the player left without a safe cell loses", () => {
+  const match = createMatch(3);
+  assert.equal(match.winner, null);
+  match.play([1, 1, 1]); // The centre attacks every other cell
+  assert.equal(match.safeCells().length, 0);
+  assert.equal(match.winner, 0);
+});
+
+test("matches follow the chosen rule set", () => {
+  const match = createMatch(3, RULE_SETS.rook);
+  match.play([1, 1, 1]);
+  assert.equal(match.winner, null);
+  assert.equal(match.isSafe(0, 0, 0), true);
+});
+
+test("every AI level picks a safe cell", () => {
+  const match = createMatch(4);
+  match.play([0, 0, 0]);
+  Object.keys(AI_LEVELS).forEach((level) => {
+    const [x, y, z] = chooseAiMove(match, level);
+    assert.equal(match.isSafe(x, y, z), true, level);
+  });
+});
+
+test("the AI takes a winning move when it sees one", () => {
+  const match = createMatch(3);
+  assert.deepEqual(chooseAiMove(match, "medium"), [1, 1, 1]);
+  assert.deepEqual(chooseAiMove(match, "easy", () => 0), [0, 0, 0]);
+});
+
+test("unknown and prototype levels play like medium", () => {
+  const match = createMatch(3);
+  ["constructor", "toString", "grandmaster"].forEach((level) =>
+    assert.deepEqual(chooseAiMove(match, level, () => 0), [1, 1, 1], level)
+  );
+});
+
+test("from medium up the AI won't hand the opponent a win", () => {
+  const match = createMatch(3);
+  match.play([0, 0, 0]);
+  match.play([2, 1, 0]);
+  const losing = match.safeCells().filter((cell) => {
+    const next = replay(match);
+    next.play(cell);
+    return hasWinningMove(next);
+  });
+  assert.ok(losing.length > 0 && losing.length < match.safeCells().length);
+  ["medium", "hard"].forEach((level) => {
+    for (let i = 0; i < 10; i++) {
+      const next = replay(match);
+      next.play(chooseAiMove(match, level));
+      assert.equal(hasWinningMove(next), false, level);
+    }
+  });
+});
+
+test("the AI has nothing to play once the match is over", () => {
+  const match = createMatch(3);
+  match.play([1, 1, 1]);
+  assert.equal(chooseAiMove(match, "hard"), null);
+});
@@ -0,0 +1,81 @@
+// Rebuilds src/target-table.js, the queen targets the game asks for.
+//
+//   node tools/verify-targets.js [--max 20] [--max-nodes 2000000]
+//
+// Every size from 1 to --max gets a certificate board and an upper bound
+// (see src/target-search.js). A size is proven once exhaustive search within
+// --max-nodes rules out one more queen, or the certificate meets the bound.
+// Entries already in the table are kept when this run can't beat them, so
+// the table only ever improves.
+
+import { writeFileSync } from "node:fs";
+import { parseBoard, serializeBoard } from "../src/board-format.js";
+import { findConflicts, getQueenCoords } from "../src/rules.js";
+import { TARGET_TABLE } from "../src/target-table.js";
+import { verifyTarget } from "../src/target-search.js";
+
+const TABLE_PATH = new URL("../src/target-table.js", import.meta.url);
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? Number(process.argv[index + 1]) : fallback;
+}
+
+function isValidCertificate(entry) {
+  const result = parseBoard(entry.certificate);
+  if (!result.ok) return false;
+  const coords = getQueenCoords(result.board);
+  return coords.length === entry.value && findConflicts(coords).size === 0;
+}
+
+const maxSize = readOption("--max", 20);
+const maxNodes = readOption("--max-nodes", 2e6);
+const table = {};
+
+for (let N = 1; N <= maxSize; N++) {
+  const started = Date.now();
+  const found = verifyTarget(N, { maxNodes });
+  let entry = {
+    value: found.value,
+    upper: found.upper,
+    status: found.status,
+    certificate: serializeBoard(found.board),
+  };
+
+  const previous = TARGET_TABLE[N];
+  if (previous && isValidCertificate(previous)) {
+    const upper = Math.min(previous.upper, entry.upper);
+    if (previous.value > entry.value) entry = { ...previous };
+    entry.upper = upper;
+    entry.status = entry.value === upper ? "proven" : "lowerBound";
+  }
+  table[N] = entry;
+
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  console.log(
+    `${N}: ${entry.value} (at most ${entry.upper}, ${entry.status}) in ${seconds}s`
+  );
+}
+
+const lines = Object.entries(table).map(
+  ([N, { value, upper, status, certificate }]) =>
+    `  ${N}: {\n` +
+    `    value: ${value},\n` +
+    `    upper: ${upper},\n` +
+    `    status: "${status}",\n` +
+    `    certificate: "${certificate}",\n` +
+    `  },`
+);
+writeFileSync(
+  TABLE_PATH,
+  `// Generated by tools/verify-targets.js. Don't edit by hand: rerun the tool.
+//
+// For each cube size N: the most queens a certificate board holds (value),
+// the most that could possibly fit (upper), and whether the two meet
+// ("proven") or value is only the best known ("lowerBound").
+export const TARGET_TABLE = {
+${lines.join("\n")}
+};
+`
+);
+console.log(`Wrote ${Object.keys(table).length} sizes to src/target-table.js`);